@@ -0,0 +1,259 @@
+// Inter-annotator agreement: Krippendorff's alpha and pairwise Cohen's kappa
+const { DEFAULT_LABELS, rowLabels, labelCategories } = require('./labels');
+
+// Minimum number of shared slices before a pair of annotators gets a kappa
+const MIN_SHARED_SLICES = 2;
+
+// Build one rating per (participant, slice), keeping the latest submission.
+// `categories` are the taxonomy's category keys (by default those stored in the rows).
+function buildRatings(rows, categories = labelCategories(rows)) {
+  const ratings = new Map();
+
+  rows.forEach(row => {
+    const parsed = rowLabels(row, categories);
+    const labels = {};
+    categories.forEach(category => {
+      labels[category] = new Map(parsed[category].map(label => [label.type, label.confidence]));
+    });
+
+    ratings.set(`${row.participant_id}::${row.slice_id}`, {
+      participant_id: row.participant_id,
+      slice_id: row.slice_id,
+      conversation_id: row.conversation_id || null,
+      labels
+    });
+  });
+
+  return Array.from(ratings.values());
+}
+
+// Every label we should report on: the taxonomy's labels (`known`, per category)
+// plus anything seen in the data
+function collectLabels(ratings, categories, known) {
+  const labels = {};
+  categories.forEach(category => {
+    labels[category] = new Set(known[category] || []);
+  });
+  ratings.forEach(rating => {
+    categories.forEach(category => {
+      rating.labels[category].forEach((confidence, type) => labels[category].add(type));
+    });
+  });
+  return labels;
+}
+
+// Binary value and weight of one label for one rating.
+// Selected labels are weighted by their confidence; unselected labels count fully.
+function labelValue(rating, category, label, weighted) {
+  const selected = rating.labels[category].has(label);
+  return {
+    value: selected ? 1 : 0,
+    weight: weighted && selected ? rating.labels[category].get(label) : 1
+  };
+}
+
+// Krippendorff's alpha for nominal data.
+// `units` is an array of arrays of { value, weight }; weights of 1 give the standard statistic.
+function krippendorffAlpha(units) {
+  const coincidences = {};
+  const totals = {};
+  let n = 0;
+
+  units.forEach(values => {
+    if (values.length < 2) return;
+    const unitWeight = values.reduce((sum, v) => sum + v.weight, 0);
+
+    values.forEach((a, i) => {
+      const others = unitWeight - a.weight;
+      if (others <= 0) return;
+      values.forEach((b, j) => {
+        if (i === j) return;
+        const key = `${a.value}|${b.value}`;
+        coincidences[key] = (coincidences[key] || 0) + (a.weight * b.weight) / others;
+      });
+      totals[a.value] = (totals[a.value] || 0) + a.weight;
+      n += a.weight;
+    });
+  });
+
+  if (n <= 1) return null;
+
+  const categories = Object.keys(totals);
+  let observed = 0;
+  let expected = 0;
+  categories.forEach(c => {
+    categories.forEach(k => {
+      if (c === k) return;
+      observed += coincidences[`${c}|${k}`] || 0;
+      expected += totals[c] * totals[k];
+    });
+  });
+
+  // All pairable values fall in one category: disagreement is undefined
+  if (expected === 0) return null;
+
+  return 1 - (n - 1) * observed / expected;
+}
+
+// Cohen's kappa for two raters over shared items of { a, b } values with a weight
+function cohensKappa(items) {
+  let total = 0;
+  let agree = 0;
+  const marginalsA = {};
+  const marginalsB = {};
+
+  items.forEach(item => {
+    total += item.weight;
+    if (item.a === item.b) agree += item.weight;
+    marginalsA[item.a] = (marginalsA[item.a] || 0) + item.weight;
+    marginalsB[item.b] = (marginalsB[item.b] || 0) + item.weight;
+  });
+
+  if (total === 0) return null;
+
+  const observed = agree / total;
+  let expected = 0;
+  Object.keys(marginalsA).forEach(value => {
+    expected += (marginalsA[value] / total) * ((marginalsB[value] || 0) / total);
+  });
+
+  if (expected >= 1) return null;
+  return (observed - expected) / (1 - expected);
+}
+
+// Weighted share of rater pairs within one slice that agree on a label
+function pairwiseAgreement(values) {
+  let total = 0;
+  let agree = 0;
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      const weight = values[i].weight * values[j].weight;
+      total += weight;
+      if (values[i].value === values[j].value) agree += weight;
+    }
+  }
+  return total > 0 ? agree / total : null;
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  items.forEach(item => {
+    const value = item[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(item);
+  });
+  return groups;
+}
+
+function mean(values) {
+  const defined = values.filter(v => v !== null && !Number.isNaN(v));
+  if (defined.length === 0) return null;
+  return defined.reduce((sum, v) => sum + v, 0) / defined.length;
+}
+
+// Alpha and pairwise kappa for one label over a set of ratings
+function labelAgreement(ratings, category, label, weighted) {
+  const bySlice = groupBy(ratings, 'slice_id');
+  const units = [];
+  bySlice.forEach(sliceRatings => {
+    units.push(sliceRatings.map(rating => labelValue(rating, category, label, weighted)));
+  });
+
+  const byParticipant = groupBy(ratings, 'participant_id');
+  const participants = Array.from(byParticipant.keys()).sort();
+  const pairs = [];
+
+  for (let i = 0; i < participants.length; i++) {
+    const ratingsA = new Map(byParticipant.get(participants[i]).map(r => [r.slice_id, r]));
+    for (let j = i + 1; j < participants.length; j++) {
+      const items = [];
+      byParticipant.get(participants[j]).forEach(ratingB => {
+        const ratingA = ratingsA.get(ratingB.slice_id);
+        if (!ratingA) return;
+        const a = labelValue(ratingA, category, label, weighted);
+        const b = labelValue(ratingB, category, label, weighted);
+        items.push({ a: a.value, b: b.value, weight: a.weight * b.weight });
+      });
+      if (items.length < MIN_SHARED_SLICES) continue;
+      pairs.push({
+        participants: [participants[i], participants[j]],
+        shared_slices: items.length,
+        kappa: cohensKappa(items)
+      });
+    }
+  }
+
+  return {
+    alpha: krippendorffAlpha(units),
+    mean_kappa: mean(pairs.map(pair => pair.kappa)),
+    pairs
+  };
+}
+
+function summarizeGroup(ratings, labels, weighted) {
+  const summary = {
+    annotations: ratings.length,
+    participants: new Set(ratings.map(r => r.participant_id)).size,
+    slices: new Set(ratings.map(r => r.slice_id)).size,
+    labels: {}
+  };
+  Object.keys(labels).forEach(category => {
+    summary.labels[category] = {};
+    labels[category].forEach(label => {
+      summary.labels[category][label] = labelAgreement(ratings, category, label, weighted);
+    });
+  });
+  return summary;
+}
+
+function summarizeSlice(ratings, labels, weighted) {
+  const summary = {
+    conversation_id: ratings[0].conversation_id,
+    raters: ratings.length,
+    labels: {}
+  };
+  Object.keys(labels).forEach(category => {
+    summary.labels[category] = {};
+    labels[category].forEach(label => {
+      const values = ratings.map(rating => labelValue(rating, category, label, weighted));
+      summary.labels[category][label] = {
+        selected: values.filter(v => v.value === 1).length,
+        agreement: pairwiseAgreement(values)
+      };
+    });
+  });
+  return summary;
+}
+
+// Full agreement report from annotation rows joined with slices.conversation_id.
+// `options.labels` are the taxonomy's labels as { category: [label values] }.
+function computeAgreement(rows, options = {}) {
+  const weighted = Boolean(options.weighted);
+  const categories = options.labels ? Object.keys(options.labels) : labelCategories(rows);
+  const ratings = buildRatings(rows, categories);
+  const labels = collectLabels(ratings, categories, options.labels || DEFAULT_LABELS);
+
+  const conversations = {};
+  groupBy(ratings, 'conversation_id').forEach((group, conversationId) => {
+    conversations[conversationId] = summarizeGroup(group, labels, weighted);
+  });
+
+  const slices = {};
+  groupBy(ratings, 'slice_id').forEach((group, sliceId) => {
+    slices[sliceId] = summarizeSlice(group, labels, weighted);
+  });
+
+  return {
+    weighted,
+    overall: summarizeGroup(ratings, labels, weighted),
+    conversations,
+    slices
+  };
+}
+
+module.exports = {
+  computeAgreement,
+  buildRatings,
+  krippendorffAlpha,
+  cohensKappa
+};
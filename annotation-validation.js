@@ -0,0 +1,171 @@
+// Validation of annotation submissions before anything is stored: the payload
+// shape (JSON Schema), whether the slice is assigned to the participant, and
+// whether the reported annotation time is plausible. Refused submissions are
+// recorded in rejected_annotations for review.
+const Ajv = require('ajv');
+const { toIsoTimestamp } = require('./sinks/common');
+const { routingValidationSchema } = require('./routing-validation');
+
+// Shortest time a single slice may report; nobody reads a slice faster (default 3 seconds)
+const MIN_ANNOTATION_SECONDS = parseInt(process.env.MIN_ANNOTATION_SECONDS || '3', 10);
+
+// Longest time a single slice may report (default 3 hours)
+const MAX_ANNOTATION_SECONDS = parseInt(process.env.MAX_ANNOTATION_SECONDS || '10800', 10);
+
+// Allowance for clock differences between browser and server
+const CLOCK_SKEW_SECONDS = 60;
+
+// Stored payloads are cut to this many characters
+const MAX_LOGGED_PAYLOAD = 20000;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// A label is its value, or { type, categorical } with an optional numeric
+// confidence (string keywords apply to the first form, object keywords to the second)
+const labelEntrySchema = {
+  type: ['string', 'object'],
+  minLength: 1,
+  maxLength: 100,
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', minLength: 1, maxLength: 100 },
+    categorical: { type: ['string', 'null'], maxLength: 50 },
+    confidence: { type: ['number', 'null'], minimum: 0, maximum: 1 }
+  }
+};
+
+const labelListSchema = { type: 'array', maxItems: 50, items: labelEntrySchema };
+
+const annotationSchema = {
+  type: 'object',
+  required: ['participant_id', 'slice_id', 'annotation_time_seconds'],
+  anyOf: [{ required: ['labels'] }, { required: ['interaction_types'] }],
+  additionalProperties: false,
+  properties: {
+    participant_id: { type: 'string', minLength: 1, maxLength: 200 },
+    slice_id: { type: 'string', minLength: 1, maxLength: 200 },
+    study_id: { type: 'string', maxLength: 200 },
+    session_id: { type: 'string', maxLength: 200 },
+    preview: { type: 'boolean' },
+    idempotency_key: { type: 'string', minLength: 1, maxLength: 200 },
+    labels: { type: 'object', maxProperties: 20, additionalProperties: labelListSchema },
+    // Older clients send these two categories instead of `labels`
+    interaction_types: labelListSchema,
+    curiosity_types: labelListSchema,
+    taxonomy_version_id: { type: ['integer', 'null'] },
+    routing_validation: routingValidationSchema,
+    annotation_time_seconds: { type: 'number', minimum: 0 }
+  }
+};
+
+const validateSchema = ajv.compile(annotationSchema);
+
+// Schema errors of a submission as [{ path, message }] (empty when valid)
+function validateAnnotationPayload(body) {
+  if (validateSchema(body)) return [];
+  return validateSchema.errors
+    // The branches of "labels or interaction_types" are reported once, as the anyOf
+    .filter(error => !error.schemaPath.startsWith('#/anyOf/'))
+    .map(error => {
+      if (error.keyword === 'additionalProperties') {
+        return { path: `${error.instancePath}/${error.params.additionalProperty}`, message: 'is not allowed' };
+      }
+      if (error.keyword === 'anyOf') {
+        return { path: '/labels', message: 'is required' };
+      }
+      return { path: error.instancePath || '/', message: error.message };
+    });
+}
+
+// Whether the participant holds an active assignment for the slice in the study
+async function isAssigned(conn, participantId, sliceId, studyId) {
+  const row = await conn.get(`
+    SELECT 1 as assigned FROM assignments
+    WHERE participant_id = ? AND slice_id = ? AND study_id = ? AND released_at IS NULL
+  `, [participantId, sliceId, studyId]);
+  return Boolean(row);
+}
+
+// Problem with the reported annotation time, or null. A slice cannot take less
+// than MIN_ANNOTATION_SECONDS or longer than MAX_ANNOTATION_SECONDS, nor longer
+// than the session has been running.
+function checkAnnotationTime(seconds, session, now = new Date()) {
+  if (seconds < MIN_ANNOTATION_SECONDS) {
+    return { path: '/annotation_time_seconds', message: `must be at least ${MIN_ANNOTATION_SECONDS} seconds` };
+  }
+  if (seconds > MAX_ANNOTATION_SECONDS) {
+    return { path: '/annotation_time_seconds', message: `must be at most ${MAX_ANNOTATION_SECONDS} seconds` };
+  }
+  if (session && session.started_at) {
+    const elapsed = (now.getTime() - Date.parse(toIsoTimestamp(session.started_at))) / 1000;
+    if (seconds > elapsed + CLOCK_SKEW_SECONDS) {
+      return {
+        path: '/annotation_time_seconds',
+        message: `is longer than the session has been running (${Math.max(0, Math.round(elapsed))} seconds)`
+      };
+    }
+  }
+  return null;
+}
+
+// Record a refused submission; never throws, so the client still gets its error
+async function logRejectedAnnotation(conn, { status, error, details = null, body = {}, studyId = null, sessionId = null }) {
+  const text = value => (typeof value === 'string' ? value.slice(0, 200) : null);
+  let payload = JSON.stringify(body === undefined ? null : body);
+  if (payload && payload.length > MAX_LOGGED_PAYLOAD) {
+    payload = payload.slice(0, MAX_LOGGED_PAYLOAD);
+  }
+  try {
+    await conn.run(`
+      INSERT INTO rejected_annotations (participant_id, slice_id, study_id, session_id, status, error, details, payload)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      text(body && body.participant_id),
+      text(body && body.slice_id),
+      studyId || text(body && body.study_id),
+      sessionId || text(body && body.session_id),
+      status,
+      error,
+      details ? JSON.stringify(details) : null,
+      payload
+    ]);
+  } catch (logError) {
+    console.error('Could not record rejected annotation:', logError.message);
+  }
+}
+
+// Most recent refused submissions, newest first
+async function getRejectedAnnotations(conn, { studyId = null, participantId = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (studyId) {
+    conditions.push('study_id = ?');
+    params.push(studyId);
+  }
+  if (participantId) {
+    conditions.push('participant_id = ?');
+    params.push(participantId);
+  }
+  const rows = await conn.query(`
+    SELECT * FROM rejected_annotations
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ${limit}
+  `, params);
+  return rows.map(row => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+    received_at: toIsoTimestamp(row.received_at)
+  }));
+}
+
+module.exports = {
+  MIN_ANNOTATION_SECONDS,
+  MAX_ANNOTATION_SECONDS,
+  validateAnnotationPayload,
+  isAssigned,
+  checkAnnotationTime,
+  logRejectedAnnotation,
+  getRejectedAnnotations
+};
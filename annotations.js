@@ -0,0 +1,130 @@
+// Storing annotations: one final row per participant and slice. Submitting a
+// slice again replaces the final row and keeps the previous one as a revision.
+
+// Columns stored for every submission, in insert order
+const ANNOTATION_COLUMNS = [
+  'participant_id',
+  'slice_id',
+  'study_id',
+  'session_id',
+  'interaction_types',
+  'curiosity_types',
+  'labels',
+  'taxonomy_version_id',
+  'dataset_version_id',
+  'routing_validation',
+  'annotation_time_seconds'
+];
+
+// SQL condition on annotations (aliased `a`) that leaves out submissions from
+// preview sessions, so test runs never count as ratings
+const NOT_PREVIEW = 'NOT EXISTS (SELECT 1 FROM sessions ps WHERE ps.session_id = a.session_id AND ps.preview = 1)';
+
+function toRow(annotation) {
+  return {
+    participant_id: annotation.participant_id,
+    slice_id: annotation.slice_id,
+    study_id: annotation.study_id,
+    session_id: annotation.session_id,
+    interaction_types: JSON.stringify(annotation.interaction_types),
+    curiosity_types: JSON.stringify(annotation.curiosity_types),
+    labels: JSON.stringify(annotation.labels),
+    taxonomy_version_id: annotation.taxonomy_version_id,
+    dataset_version_id: annotation.dataset_version_id === undefined ? null : annotation.dataset_version_id,
+    routing_validation: JSON.stringify(annotation.routing_validation),
+    annotation_time_seconds: annotation.annotation_time_seconds
+  };
+}
+
+// Insert or revise the participant's annotation of a slice. Must run inside a
+// transaction (`tx`); concurrent submissions of the same slice wait for each other,
+// so the second one revises the first instead of inserting a duplicate.
+// Returns { id, revision }; id stays the same across revisions.
+async function saveAnnotation(tx, annotation) {
+  const row = toRow(annotation);
+  await tx.lock(`annotation-${row.participant_id}-${row.slice_id}`);
+  const existing = await tx.get(
+    'SELECT * FROM annotations WHERE participant_id = ? AND slice_id = ?',
+    [row.participant_id, row.slice_id]
+  );
+
+  if (!existing) {
+    const result = await tx.insert(
+      `INSERT INTO annotations (${ANNOTATION_COLUMNS.join(', ')}) VALUES (${ANNOTATION_COLUMNS.map(() => '?').join(', ')})`,
+      ANNOTATION_COLUMNS.map(column => row[column])
+    );
+    return { id: result.lastID, revision: 1 };
+  }
+
+  const revision = Number(existing.revision || 1);
+  const historyColumns = [...ANNOTATION_COLUMNS, 'submitted_at'];
+  await tx.run(`
+    INSERT INTO annotation_revisions (annotation_id, revision, ${historyColumns.join(', ')})
+    VALUES (?, ?, ${historyColumns.map(() => '?').join(', ')})
+  `, [existing.id, revision, ...historyColumns.map(column => existing[column])]);
+
+  await tx.run(`
+    UPDATE annotations SET
+      ${ANNOTATION_COLUMNS.map(column => `${column} = ?`).join(', ')},
+      revision = ?,
+      submitted_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [...ANNOTATION_COLUMNS.map(column => row[column]), revision + 1, existing.id]);
+  return { id: existing.id, revision: revision + 1 };
+}
+
+// The result stored for a participant's idempotency key, or null for a new submission
+async function findSubmission(conn, participantId, idempotencyKey) {
+  const row = await conn.get(
+    'SELECT annotation_id, revision FROM annotation_submissions WHERE participant_id = ? AND idempotency_key = ?',
+    [participantId, idempotencyKey]
+  );
+  return row ? { id: row.annotation_id, revision: Number(row.revision) } : null;
+}
+
+// Remember what a submission saved, in the same transaction as the annotation
+async function recordSubmission(tx, participantId, idempotencyKey, saved) {
+  await tx.run(
+    'INSERT INTO annotation_submissions (participant_id, idempotency_key, annotation_id, revision) VALUES (?, ?, ?, ?)',
+    [participantId, idempotencyKey, saved.id, saved.revision]
+  );
+}
+
+// Save a submission in one transaction. A retry carrying an idempotency key the
+// participant already used saves nothing and returns the original result with
+// duplicate: true. `onSaved(tx, result)` runs in the same transaction after a new
+// save. Returns { id, revision, duplicate }.
+async function submitAnnotation(db, annotation, { idempotencyKey = null, onSaved = async () => {} } = {}) {
+  return db.transaction(async tx => {
+    if (idempotencyKey) {
+      await tx.lock(`annotation-submission-${annotation.participant_id}-${idempotencyKey}`);
+      const previous = await findSubmission(tx, annotation.participant_id, idempotencyKey);
+      if (previous) {
+        return { ...previous, duplicate: true };
+      }
+    }
+    const result = await saveAnnotation(tx, annotation);
+    if (idempotencyKey) {
+      await recordSubmission(tx, annotation.participant_id, idempotencyKey, result);
+    }
+    await onSaved(tx, result);
+    return { ...result, duplicate: false };
+  });
+}
+
+// Earlier revisions of an annotation, oldest first
+async function getRevisions(conn, annotationId) {
+  return conn.query(
+    'SELECT * FROM annotation_revisions WHERE annotation_id = ? ORDER BY revision',
+    [annotationId]
+  );
+}
+
+module.exports = {
+  NOT_PREVIEW,
+  saveAnnotation,
+  findSubmission,
+  recordSubmission,
+  submitAnnotation,
+  getRevisions
+};
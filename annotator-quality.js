@@ -0,0 +1,287 @@
+// Per-annotator quality profiles: how long each slice took, how often the
+// participant submitted nothing or the same labels every time, how well they
+// agree with the other raters of the same slices, and how lopsided their label
+// use is. Profiles carry flags for the patterns of careless annotation.
+const { buildRatings } = require('./agreement');
+
+// Thresholds for the flags (env overrides)
+const QUALITY_THRESHOLDS = {
+  // Median seconds per slice below which a participant is flagged as too fast
+  fast_median_seconds: parseFloat(process.env.QUALITY_FAST_MEDIAN_SECONDS || '8'),
+  // Share of slices with the participant's most used label set
+  straight_lining_rate: parseFloat(process.env.QUALITY_STRAIGHT_LINING_RATE || '0.8'),
+  // Share of slices submitted without any label
+  empty_rate: parseFloat(process.env.QUALITY_EMPTY_RATE || '0.5'),
+  // Mean Jaccard agreement with the other raters' majority
+  consensus_agreement: parseFloat(process.env.QUALITY_CONSENSUS_AGREEMENT || '0.3'),
+  // Jensen-Shannon divergence (0-1) from everyone else's label distribution
+  label_divergence: parseFloat(process.env.QUALITY_LABEL_DIVERGENCE || '0.5')
+};
+
+// Fewer annotations (or comparable slices) than this are too few to flag on
+const MIN_PROFILE_ANNOTATIONS = parseInt(process.env.QUALITY_MIN_ANNOTATIONS || '5', 10);
+
+// Other raters a slice needs before it counts towards consensus agreement
+const MIN_OTHER_RATERS = 2;
+
+// Annotations read per query when counting label use over a whole study
+const LABEL_COUNT_PAGE_SIZE = 1000;
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function timingStats(times) {
+  const sorted = times.filter(time => time !== null && !Number.isNaN(time)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, min: null, p10: null, median: null, mean: null, p90: null, max: null };
+  }
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    p10: quantile(sorted, 0.1),
+    median: quantile(sorted, 0.5),
+    mean: sorted.reduce((sum, time) => sum + time, 0) / sorted.length,
+    p90: quantile(sorted, 0.9),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// The labels of a rating as "category:label" strings
+function labelSet(rating) {
+  const labels = [];
+  Object.keys(rating.labels).forEach(category => {
+    rating.labels[category].forEach((confidence, type) => labels.push(`${category}:${type}`));
+  });
+  return labels.sort();
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let intersection = 0;
+  a.forEach(label => {
+    if (b.has(label)) intersection++;
+  });
+  return intersection / (a.size + b.size - intersection);
+}
+
+// Labels selected by more than half of `ratings`
+function majorityLabels(ratings) {
+  const counts = new Map();
+  ratings.forEach(rating => labelSet(rating).forEach(label => counts.set(label, (counts.get(label) || 0) + 1)));
+  return new Set(Array.from(counts.keys()).filter(label => counts.get(label) > ratings.length / 2));
+}
+
+function distribution(counts) {
+  const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+  const result = new Map();
+  counts.forEach((count, label) => result.set(label, total > 0 ? count / total : 0));
+  return result;
+}
+
+// Jensen-Shannon divergence in bits (0 = same distribution, 1 = disjoint)
+function jensenShannon(p, q) {
+  const labels = new Set([...p.keys(), ...q.keys()]);
+  let divergence = 0;
+  labels.forEach(label => {
+    const pi = p.get(label) || 0;
+    const qi = q.get(label) || 0;
+    const mi = (pi + qi) / 2;
+    if (pi > 0) divergence += 0.5 * pi * Math.log2(pi / mi);
+    if (qi > 0) divergence += 0.5 * qi * Math.log2(qi / mi);
+  });
+  return divergence;
+}
+
+// Normalised entropy of a label distribution (1 = all labels used equally)
+function normalizedEntropy(p) {
+  const values = Array.from(p.values()).filter(value => value > 0);
+  if (values.length <= 1) return values.length === 1 ? 0 : null;
+  return -values.reduce((sum, value) => sum + value * Math.log2(value), 0) / Math.log2(values.length);
+}
+
+function profileFlags(profile, thresholds) {
+  const flags = [];
+  if (profile.annotations < MIN_PROFILE_ANNOTATIONS) return flags;
+  if (profile.timing.median !== null && profile.timing.median < thresholds.fast_median_seconds) {
+    flags.push('too_fast');
+  }
+  if (profile.straight_lining_rate >= thresholds.straight_lining_rate) {
+    flags.push('straight_lining');
+  }
+  if (profile.empty_rate >= thresholds.empty_rate) {
+    flags.push('empty_submissions');
+  }
+  if (profile.consensus.slices >= MIN_PROFILE_ANNOTATIONS && profile.consensus.agreement < thresholds.consensus_agreement) {
+    flags.push('low_consensus_agreement');
+  }
+  if (profile.label_skew.divergence !== null && profile.label_skew.divergence >= thresholds.label_divergence) {
+    flags.push('label_skew');
+  }
+  return flags;
+}
+
+// Profiles for every participant in `rows` (participant_id, slice_id, labels,
+// annotation_time_seconds). `options.categories` are the taxonomy's category keys.
+// With `options.participantIds` only those participants are profiled; `rows` must
+// then hold every annotation of their slices, and `options.labelCounts` (see
+// loadLabelCounts) the label use of everyone, for the label skew.
+function computeAnnotatorProfiles(rows, options = {}) {
+  const thresholds = { ...QUALITY_THRESHOLDS, ...(options.thresholds || {}) };
+  const times = new Map(rows.map(row => [
+    `${row.participant_id}::${row.slice_id}`,
+    row.annotation_time_seconds === null || row.annotation_time_seconds === undefined ? null : Number(row.annotation_time_seconds)
+  ]));
+  const ratings = buildRatings(rows, options.categories);
+
+  const bySlice = new Map();
+  const byParticipant = new Map();
+  const labelCounts = new Map();
+  ratings.forEach(rating => {
+    if (!bySlice.has(rating.slice_id)) bySlice.set(rating.slice_id, []);
+    bySlice.get(rating.slice_id).push(rating);
+    if (!byParticipant.has(rating.participant_id)) byParticipant.set(rating.participant_id, []);
+    byParticipant.get(rating.participant_id).push(rating);
+    labelSet(rating).forEach(label => labelCounts.set(label, (labelCounts.get(label) || 0) + 1));
+  });
+  const totals = options.labelCounts || labelCounts;
+  const profiled = options.participantIds ? new Set(options.participantIds) : null;
+
+  const participants = Array.from(byParticipant.entries())
+    .filter(([participantId]) => !profiled || profiled.has(participantId));
+  return participants.map(([participantId, own]) => {
+    const sets = own.map(labelSet);
+    const empty = sets.filter(set => set.length === 0).length;
+
+    // Straight-lining: the same non-empty label set on slice after slice
+    const setCounts = new Map();
+    sets.filter(set => set.length > 0).forEach(set => {
+      const key = set.join('|');
+      setCounts.set(key, (setCounts.get(key) || 0) + 1);
+    });
+    let topSet = null;
+    setCounts.forEach((count, key) => {
+      if (!topSet || count > topSet.count) topSet = { labels: key.split('|'), count };
+    });
+
+    // Agreement with the majority of the other raters of each slice (leave-one-out)
+    const agreements = [];
+    own.forEach(rating => {
+      const others = bySlice.get(rating.slice_id).filter(other => other.participant_id !== participantId);
+      if (others.length < MIN_OTHER_RATERS) return;
+      agreements.push(jaccard(new Set(labelSet(rating)), majorityLabels(others)));
+    });
+
+    // Label use compared with everyone else's
+    const ownCounts = new Map();
+    sets.forEach(set => set.forEach(label => ownCounts.set(label, (ownCounts.get(label) || 0) + 1)));
+    const otherCounts = new Map(totals);
+    ownCounts.forEach((count, label) => otherCounts.set(label, otherCounts.get(label) - count));
+    const ownDistribution = distribution(ownCounts);
+    const otherDistribution = distribution(otherCounts);
+    const othersLabelled = Array.from(otherCounts.values()).some(count => count > 0);
+    let topLabel = null;
+    ownCounts.forEach((count, label) => {
+      if (!topLabel || count > topLabel.count) topLabel = { label, count };
+    });
+
+    const profile = {
+      participant_id: participantId,
+      annotations: own.length,
+      timing: timingStats(own.map(rating => times.get(`${participantId}::${rating.slice_id}`))),
+      empty_submissions: empty,
+      empty_rate: empty / own.length,
+      straight_lining_rate: topSet ? topSet.count / own.length : 0,
+      most_repeated_labels: topSet ? topSet.labels : [],
+      consensus: {
+        slices: agreements.length,
+        agreement: agreements.length > 0 ? agreements.reduce((sum, value) => sum + value, 0) / agreements.length : null
+      },
+      label_skew: {
+        top_label: topLabel ? topLabel.label : null,
+        top_label_share: topLabel ? ownDistribution.get(topLabel.label) : null,
+        entropy: normalizedEntropy(ownDistribution),
+        divergence: ownCounts.size > 0 && othersLabelled ? jensenShannon(ownDistribution, otherDistribution) : null
+      }
+    };
+    profile.flags = profileFlags(profile, thresholds);
+    profile.flagged = profile.flags.length > 0;
+    return profile;
+  });
+}
+
+// WHERE conditions for the annotations (`a`, joined with sessions `se`) of a
+// study, without preview sessions unless includePreview
+function annotationFilter(studyId, includePreview) {
+  const conditions = [];
+  const params = [];
+  if (studyId) {
+    conditions.push('a.study_id = ?');
+    params.push(studyId);
+  }
+  if (!includePreview) conditions.push('(se.preview IS NULL OR se.preview = 0)');
+  return { conditions, params };
+}
+
+// How often each "category:label" was used in a study's annotations, read page
+// by page so the annotations are never all in memory
+async function loadLabelCounts(conn, { studyId = null, includePreview = false, categories } = {}) {
+  const { conditions, params } = annotationFilter(studyId, includePreview);
+  const counts = new Map();
+  let lastId = 0;
+  for (;;) {
+    const rows = await conn.query(`
+      SELECT a.id, a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types
+      FROM annotations a
+      LEFT JOIN sessions se ON a.session_id = se.session_id
+      WHERE ${[...conditions, 'a.id > ?'].join(' AND ')}
+      ORDER BY a.id
+      LIMIT ${LABEL_COUNT_PAGE_SIZE}
+    `, [...params, lastId]);
+    buildRatings(rows, categories).forEach(rating => {
+      labelSet(rating).forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+    });
+    if (rows.length < LABEL_COUNT_PAGE_SIZE) return counts;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+// Profiles of a study's participants (all studies when studyId is null);
+// preview sessions are left out unless includePreview. With `participantIds`
+// only those are profiled, from the annotations of their slices and the study's
+// `labelCounts`.
+async function loadAnnotatorProfiles(conn, {
+  studyId = null,
+  includePreview = false,
+  categories,
+  participantIds = null,
+  labelCounts = null
+} = {}) {
+  const { conditions, params } = annotationFilter(studyId, includePreview);
+  if (participantIds) {
+    conditions.push(`a.slice_id IN (
+      SELECT o.slice_id FROM annotations o WHERE o.participant_id IN (${participantIds.map(() => '?').join(', ')})
+    )`);
+    params.push(...participantIds);
+  }
+  const rows = await conn.query(`
+    SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types, a.annotation_time_seconds
+    FROM annotations a
+    LEFT JOIN sessions se ON a.session_id = se.session_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY a.id
+  `, params);
+  return computeAnnotatorProfiles(rows, { categories, participantIds, labelCounts });
+}
+
+module.exports = {
+  QUALITY_THRESHOLDS,
+  MIN_PROFILE_ANNOTATIONS,
+  computeAnnotatorProfiles,
+  loadLabelCounts,
+  loadAnnotatorProfiles
+};
@@ -0,0 +1,217 @@
+// Adaptive slice assignment: aims for a target number of ratings per slice
+const { buildRatings } = require('./agreement');
+const { DEFAULT_STUDY_ID } = require('./studies');
+const { NOT_PREVIEW } = require('./annotations');
+
+const DEFAULT_OPTIONS = {
+  // Ratings we want per slice before it stops being preferred
+  targetRatings: parseInt(process.env.TARGET_RATINGS_PER_SLICE || '5', 10),
+  // Minutes an assignment may sit without any activity before it stops counting
+  leaseMinutes: parseInt(process.env.ASSIGNMENT_LEASE_MINUTES || '90', 10),
+  // 'none', 'disagreement' or 'validation_priority'
+  priority: process.env.ASSIGNMENT_PRIORITY || 'none'
+};
+
+// Format a Date the way CURRENT_TIMESTAMP stores it, so it compares on both backends
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Mean minority share over the labels raters used on a slice (0 = unanimous, 1 = evenly split)
+function disagreementScore(ratings) {
+  if (ratings.length < 2) return 0;
+
+  const scores = [];
+  Object.keys(ratings[0].labels).forEach(category => {
+    const counts = new Map();
+    ratings.forEach(rating => {
+      rating.labels[category].forEach((confidence, type) => {
+        counts.set(type, (counts.get(type) || 0) + 1);
+      });
+    });
+    counts.forEach(count => {
+      const share = count / ratings.length;
+      scores.push(2 * Math.min(share, 1 - share));
+    });
+  });
+
+  if (scores.length === 0) return 0;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+class AssignmentEngine {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Completed ratings and live (unexpired, unfinished) assignments per slice.
+  // `conn` is the database or a transaction handle; `studyId` limits it to one
+  // study's slices (all studies when null).
+  async getSliceLoads(conn = this.db, studyId = null) {
+    const cutoff = toSqlTimestamp(new Date(Date.now() - this.options.leaseMinutes * 60 * 1000));
+
+    // Retired slices (dropped from the latest dataset version) are never assigned
+    const slices = studyId === null ?
+      await conn.query('SELECT id, study_id, validation_priority FROM slices WHERE retired_at IS NULL') :
+      await conn.query(
+        'SELECT id, study_id, validation_priority FROM slices WHERE retired_at IS NULL AND study_id = ?',
+        [studyId]
+      );
+    // Preview sessions neither count as ratings nor hold slices
+    const completed = await conn.query(`
+      SELECT a.slice_id, COUNT(DISTINCT a.participant_id) as count
+      FROM annotations a
+      WHERE ${NOT_PREVIEW}
+      GROUP BY a.slice_id
+    `);
+    // An open assignment stays live while it is new or its participant keeps submitting,
+    // unless it was released when the participant's session was returned or timed out
+    const active = await conn.query(`
+      SELECT ass.slice_id, COUNT(*) as count
+      FROM assignments ass
+      WHERE ass.released_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM sessions ps
+        WHERE ps.participant_id = ass.participant_id AND ps.study_id = ass.study_id AND ps.preview = 1
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM annotations a
+        WHERE a.participant_id = ass.participant_id AND a.slice_id = ass.slice_id
+      )
+      AND (
+        ass.assigned_at >= ?
+        OR EXISTS (
+          SELECT 1 FROM annotations a
+          WHERE a.participant_id = ass.participant_id AND a.submitted_at >= ?
+        )
+      )
+      GROUP BY ass.slice_id
+    `, [cutoff, cutoff]);
+
+    const loads = new Map();
+    slices.forEach(slice => {
+      loads.set(slice.id, {
+        slice_id: slice.id,
+        study_id: slice.study_id,
+        completed: 0,
+        active: 0,
+        validation_priority: slice.validation_priority === null || slice.validation_priority === undefined ?
+          null :
+          Number(slice.validation_priority),
+        disagreement: 0
+      });
+    });
+    completed.forEach(row => {
+      if (loads.has(row.slice_id)) loads.get(row.slice_id).completed = Number(row.count);
+    });
+    active.forEach(row => {
+      if (loads.has(row.slice_id)) loads.get(row.slice_id).active = Number(row.count);
+    });
+
+    if (this.options.priority === 'disagreement') {
+      const rows = await conn.query(`
+        SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types
+        FROM annotations a
+        WHERE ${NOT_PREVIEW}
+        ORDER BY a.id
+      `);
+      const bySlice = new Map();
+      buildRatings(rows).forEach(rating => {
+        if (!bySlice.has(rating.slice_id)) bySlice.set(rating.slice_id, []);
+        bySlice.get(rating.slice_id).push(rating);
+      });
+      bySlice.forEach((ratings, sliceId) => {
+        if (loads.has(sliceId)) loads.get(sliceId).disagreement = disagreementScore(ratings);
+      });
+    }
+
+    return Array.from(loads.values()).map(load => ({
+      ...load,
+      load: load.completed + load.active,
+      target_reached: load.completed + load.active >= this.options.targetRatings
+    }));
+  }
+
+  priorityOf(load) {
+    if (this.options.priority === 'disagreement') return load.disagreement;
+    if (this.options.priority === 'validation_priority') return load.validation_priority || 0;
+    return 0;
+  }
+
+  // Slices ordered by preference: under target first, then priority, then least loaded
+  async rankSlices(excludeIds = [], conn = this.db, studyId = DEFAULT_STUDY_ID) {
+    const exclude = new Set(excludeIds);
+    const loads = (await this.getSliceLoads(conn, studyId)).filter(load => !exclude.has(load.slice_id));
+
+    // Random tie-break keys are fixed up front so the comparator stays consistent
+    const tieBreak = new Map(loads.map(load => [load.slice_id, Math.random()]));
+
+    return loads.sort((a, b) => {
+      if (a.target_reached !== b.target_reached) return a.target_reached ? 1 : -1;
+      const priorityDiff = this.priorityOf(b) - this.priorityOf(a);
+      if (priorityDiff !== 0) return priorityDiff;
+      const loadDiff = a.load - b.load;
+      if (loadDiff !== 0) return loadDiff;
+      return tieBreak.get(a.slice_id) - tieBreak.get(b.slice_id);
+    });
+  }
+
+  // Return the participant's slice IDs in a study, creating their assignment if
+  // they have none. Runs in one transaction under a per-study assignment lock, so
+  // concurrent participants never read the same loads and a participant never
+  // ends up with a partial set.
+  async assignSlices(participantId, { studyId = DEFAULT_STUDY_ID, count, goldCount = 0 }) {
+    return this.db.transaction(async tx => {
+      await tx.lock(`slice-assignment-${studyId}`);
+
+      const existing = await tx.query(
+        'SELECT slice_id FROM assignments WHERE participant_id = ? AND study_id = ?',
+        [participantId, studyId]
+      );
+      if (existing.length > 0) {
+        return { sliceIds: existing.map(row => row.slice_id), created: false };
+      }
+
+      const ranked = (await this.rankSlices([], tx, studyId)).map(load => load.slice_id);
+
+      // Mix the preferred gold slices in as hidden attention checks,
+      // then fill up with the preferred remaining slices
+      const goldRows = await tx.query(
+        'SELECT id FROM slices WHERE gold_labels IS NOT NULL AND retired_at IS NULL AND study_id = ?',
+        [studyId]
+      );
+      const goldSliceIds = new Set(goldRows.map(row => row.id));
+      const goldChecks = ranked
+        .filter(id => goldSliceIds.has(id))
+        .slice(0, Math.min(goldCount, count));
+      const otherSlices = ranked
+        .filter(id => !goldChecks.includes(id))
+        .slice(0, count - goldChecks.length);
+
+      // Shuffle so gold checks are not recognisable by position
+      const sliceIds = shuffleArray([...goldChecks, ...otherSlices]);
+
+      if (sliceIds.length > 0) {
+        const values = sliceIds.map(() => '(?, ?, ?)').join(', ');
+        const params = [];
+        sliceIds.forEach(sliceId => params.push(participantId, sliceId, studyId));
+        await tx.run(`INSERT INTO assignments (participant_id, slice_id, study_id) VALUES ${values}`, params);
+      }
+
+      return { sliceIds, created: true };
+    });
+  }
+}
+
+// Shuffle array function
+function shuffleArray(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = { AssignmentEngine, disagreementScore, toSqlTimestamp };
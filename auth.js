@@ -0,0 +1,160 @@
+// Authentication and roles: admin (token or password session) vs. participant/public
+const crypto = require('crypto');
+const { toSqlTimestamp } = require('./assignment');
+
+// Admin sessions expire after this many hours
+const SESSION_HOURS = parseFloat(process.env.ADMIN_SESSION_HOURS || '12');
+
+// Failed logins allowed per IP within the window before logins are refused
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Constant-time comparison so secrets cannot be guessed byte by byte
+function secretsMatch(provided, expected) {
+  if (!provided || !expected) return false;
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Token from "Authorization: Bearer <token>" or the X-Admin-Token header
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.substring('Bearer '.length).trim();
+  }
+  return req.headers['x-admin-token'] || null;
+}
+
+// Allowed CORS origins from CORS_ORIGINS (comma separated). Without it only
+// same-origin requests work, since the study pages are served by this server.
+function corsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  return {
+    origin: origins.length > 0 ? origins : false,
+    credentials: false
+  };
+}
+
+class AuthService {
+  constructor(db) {
+    this.db = db;
+    this.loginFailures = new Map();
+
+    // Bound so they can be passed to Express directly
+    this.attachRole = this.attachRole.bind(this);
+    this.requireAdmin = this.requireAdmin.bind(this);
+  }
+
+  isConfigured() {
+    return Boolean(process.env.ADMIN_TOKEN || process.env.ADMIN_PASSWORD);
+  }
+
+  // Resolve the request's role: 'admin' with a valid token or session, else 'participant'
+  async resolveRole(req) {
+    const token = tokenFromRequest(req);
+    if (!token) return { role: 'participant', actor: null };
+
+    if (secretsMatch(token, process.env.ADMIN_TOKEN)) {
+      return { role: 'admin', actor: 'admin-token' };
+    }
+
+    const session = await this.db.get(
+      'SELECT id FROM admin_sessions WHERE token_hash = ? AND expires_at > ?',
+      [hashToken(token), toSqlTimestamp(new Date())]
+    );
+    if (session) {
+      return { role: 'admin', actor: `session:${session.id}` };
+    }
+
+    return { role: 'participant', actor: null };
+  }
+
+  // Middleware: sets req.role and req.actor for every request
+  async attachRole(req, res, next) {
+    try {
+      Object.assign(req, await this.resolveRole(req));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Middleware: admin only; every admin request is written to the audit log
+  requireAdmin(req, res, next) {
+    if (!this.isConfigured()) {
+      return res.status(503).json({ error: 'Admin access is not configured (set ADMIN_TOKEN or ADMIN_PASSWORD)' });
+    }
+    if (req.role !== 'admin') {
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+
+    res.on('finish', () => {
+      this.audit(req.actor, `${req.method} ${req.baseUrl}${req.path}`, {
+        query: req.query,
+        status: res.statusCode,
+        ip: req.ip
+      }).catch(error => console.error('Audit log failed:', error.message));
+    });
+    next();
+  }
+
+  async audit(actor, action, details = {}) {
+    await this.db.run(
+      'INSERT INTO admin_audit_log (actor, action, details, ip) VALUES (?, ?, ?, ?)',
+      [actor, action, JSON.stringify({ query: details.query, status: details.status }), details.ip || null]
+    );
+  }
+
+  tooManyFailures(ip) {
+    const now = Date.now();
+    const failures = (this.loginFailures.get(ip) || []).filter(time => now - time < LOGIN_WINDOW_MS);
+    this.loginFailures.set(ip, failures);
+    return failures.length >= MAX_LOGIN_FAILURES;
+  }
+
+  // Exchange the admin password (or token) for a session token
+  async login(secret, ip) {
+    if (!this.isConfigured()) {
+      return { ok: false, status: 503, error: 'Admin access is not configured' };
+    }
+    if (this.tooManyFailures(ip)) {
+      return { ok: false, status: 429, error: 'Too many failed logins, try again later' };
+    }
+
+    const valid = secretsMatch(secret, process.env.ADMIN_PASSWORD) || secretsMatch(secret, process.env.ADMIN_TOKEN);
+    if (!valid) {
+      this.loginFailures.get(ip).push(Date.now());
+      await this.audit(null, 'login-failed', { ip });
+      return { ok: false, status: 401, error: 'Invalid credentials' };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000);
+    const session = await this.db.insert(
+      'INSERT INTO admin_sessions (token_hash, expires_at) VALUES (?, ?)',
+      [hashToken(token), toSqlTimestamp(expiresAt)]
+    );
+    await this.audit(`session:${session.lastID}`, 'login', { ip });
+
+    return { ok: true, token, expires_at: expiresAt.toISOString() };
+  }
+
+  async logout(req) {
+    const token = tokenFromRequest(req);
+    if (!token) return;
+    await this.db.run('DELETE FROM admin_sessions WHERE token_hash = ?', [hashToken(token)]);
+    if (req.actor) {
+      await this.audit(req.actor, 'logout', { ip: req.ip });
+    }
+  }
+}
+
+module.exports = { AuthService, corsOptions };
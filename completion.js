@@ -0,0 +1,155 @@
+// Completion codes and Prolific approval recommendations.
+// A participant gets a code only once every assigned slice in the study has an
+// annotation and the quality checks pass; the code is stored with the participant
+// so submissions on Prolific can be matched back to what the server issued.
+const crypto = require('crypto');
+const { computeGoldAccuracy } = require('./gold-standard');
+const { getProgress, touchParticipant } = require('./participants');
+const { toSqlTimestamp } = require('./assignment');
+const { NOT_PREVIEW } = require('./annotations');
+
+// No 0/O or 1/I, so codes survive being copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Random code, prefixed with the study's completion code when it has one
+function generateCompletionCode(study) {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const random = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return study.completion_code ? `${study.completion_code}-${random}` : random;
+}
+
+// Gold accuracy of one participant within a study, or null without gold checks
+async function participantGoldAccuracy(conn, participantId, studyId) {
+  const sliceRows = await conn.query(
+    'SELECT id, gold_labels FROM slices WHERE gold_labels IS NOT NULL AND study_id = ?',
+    [studyId]
+  );
+  const annotationRows = await conn.query(`
+    SELECT participant_id, slice_id, labels, interaction_types, curiosity_types
+    FROM annotations
+    WHERE participant_id = ? AND study_id = ?
+    ORDER BY id
+  `, [participantId, studyId]);
+  return computeGoldAccuracy(sliceRows, annotationRows)[0] || null;
+}
+
+// Whether a participant has earned a code: { passed, reasons, progress, gold }
+function evaluateCompletion(progress, gold) {
+  const reasons = [];
+  if (progress.assigned === 0) {
+    reasons.push('no slices assigned');
+  } else if (progress.annotated < progress.assigned) {
+    reasons.push(`annotated ${progress.annotated} of ${progress.assigned} assigned slices`);
+  }
+  if (gold && gold.flagged) {
+    reasons.push(`gold accuracy ${gold.accuracy.toFixed(2)} below threshold`);
+  }
+  return { passed: reasons.length === 0, reasons, progress, gold };
+}
+
+// Issue (or return the already issued) code for a participant.
+// Returns { issued: true, code, issued_at } or { issued: false, complete, reasons }.
+async function issueCompletionCode(db, study, participantId) {
+  return db.transaction(async tx => {
+    await tx.lock(`completion-code-${study.id}`);
+
+    const existing = await tx.get(
+      'SELECT completion_code, completion_code_issued_at FROM participants WHERE participant_id = ? AND study_id = ?',
+      [participantId, study.id]
+    );
+    if (existing && existing.completion_code) {
+      return { issued: true, code: existing.completion_code, issued_at: existing.completion_code_issued_at };
+    }
+
+    const progress = await getProgress(tx, participantId, study.id);
+    const evaluation = evaluateCompletion(progress, await participantGoldAccuracy(tx, participantId, study.id));
+    if (!evaluation.passed) {
+      return {
+        issued: false,
+        complete: progress.assigned > 0 && progress.annotated >= progress.assigned,
+        reasons: evaluation.reasons
+      };
+    }
+
+    const code = generateCompletionCode(study);
+    const issuedAt = toSqlTimestamp(new Date());
+    await touchParticipant(tx, participantId, study.id);
+    await tx.run(`
+      UPDATE participants SET completion_code = ?, completion_code_issued_at = ?
+      WHERE participant_id = ? AND study_id = ?
+    `, [code, issuedAt, participantId, study.id]);
+    return { issued: true, code, issued_at: issuedAt };
+  });
+}
+
+// Who issued a code, for checking what a participant pasted into Prolific
+async function findCompletionCode(conn, code) {
+  return conn.get(`
+    SELECT participant_id, study_id, completion_code, completion_code_issued_at, completed_at
+    FROM participants
+    WHERE completion_code = ?
+  `, [code]);
+}
+
+// Approve/reject recommendation for every participant who started the study.
+// Participants who passed but never fetched their code are still approved;
+// preview participants are not on Prolific and are left out.
+async function completionRecommendations(conn, study) {
+  const participants = await conn.query(`
+    SELECT p.participant_id, p.completion_code, p.completion_code_issued_at, p.started_at, p.completed_at
+    FROM participants p
+    WHERE p.study_id = ?
+    AND NOT EXISTS (
+      SELECT 1 FROM sessions ps
+      WHERE ps.participant_id = p.participant_id AND ps.study_id = p.study_id AND ps.preview = 1
+    )
+    ORDER BY p.started_at, p.participant_id
+  `, [study.id]);
+
+  const sliceRows = await conn.query(
+    'SELECT id, gold_labels FROM slices WHERE gold_labels IS NOT NULL AND study_id = ?',
+    [study.id]
+  );
+  const annotationRows = await conn.query(`
+    SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types
+    FROM annotations a
+    WHERE a.study_id = ? AND ${NOT_PREVIEW}
+    ORDER BY a.id
+  `, [study.id]);
+  const goldByParticipant = new Map(
+    computeGoldAccuracy(sliceRows, annotationRows).map(result => [result.participant_id, result])
+  );
+
+  const recommendations = [];
+  for (const participant of participants) {
+    const progress = await getProgress(conn, participant.participant_id, study.id);
+    const gold = goldByParticipant.get(participant.participant_id) || null;
+    const evaluation = evaluateCompletion(progress, gold);
+    const approve = Boolean(participant.completion_code) || evaluation.passed;
+    const reasons = participant.completion_code ? [] : evaluation.reasons;
+    if (approve && !participant.completion_code) {
+      reasons.push('completion code never requested');
+    }
+
+    recommendations.push({
+      participant_id: participant.participant_id,
+      recommendation: approve ? 'approve' : 'reject',
+      reasons,
+      completion_code: participant.completion_code,
+      completion_code_issued_at: participant.completion_code_issued_at,
+      assigned: progress.assigned,
+      annotated: progress.annotated,
+      gold_accuracy: gold ? gold.accuracy : null
+    });
+  }
+  return recommendations;
+}
+
+module.exports = {
+  generateCompletionCode,
+  evaluateCompletion,
+  issueCompletionCode,
+  findCompletionCode,
+  completionRecommendations
+};
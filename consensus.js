@@ -0,0 +1,274 @@
+// Consensus labels per slice from all raters' annotations. Every label is a
+// yes/no decision per rater; a strategy turns the votes into the posterior
+// probability that the label applies, and labels above CONSENSUS_THRESHOLD form
+// the consensus. Strategies:
+//   majority     share of raters who selected the label
+//   weighted     votes weighted by confidence (confidenceToNumeric); raters who
+//                left the label out count fully against it, as in agreement.js
+//   dawid_skene  EM over per-rater sensitivity/specificity for each label, so
+//                reliable raters count for more (Dawid & Skene, 1979)
+const { labelCategories } = require('./labels');
+const { buildRatings } = require('./agreement');
+
+const CONSENSUS_STRATEGIES = ['majority', 'weighted', 'dawid_skene'];
+
+const CONSENSUS_THRESHOLD = 0.5;
+
+const DAWID_SKENE_MAX_ITERATIONS = 100;
+const DAWID_SKENE_TOLERANCE = 1e-6;
+
+// Columns of the consensus file export: one row per slice, category and label
+const CONSENSUS_COLUMNS = [
+  { name: 'slice_id', type: 'string' },
+  { name: 'conversation_id', type: 'string' },
+  { name: 'strategy', type: 'string' },
+  { name: 'category', type: 'string' },
+  { name: 'label', type: 'string' },
+  { name: 'raters', type: 'integer' },
+  { name: 'selected', type: 'integer' },
+  { name: 'posterior', type: 'number' },
+  { name: 'consensus', type: 'boolean' }
+];
+
+// The labels of a category seen in any rating, in first-seen order
+function categoryLabels(ratings, category) {
+  const labels = new Set();
+  ratings.forEach(rating => rating.labels[category].forEach((confidence, type) => labels.add(type)));
+  return Array.from(labels);
+}
+
+function groupBySlice(ratings) {
+  const slices = new Map();
+  ratings.forEach(rating => {
+    if (!slices.has(rating.slice_id)) slices.set(rating.slice_id, []);
+    slices.get(rating.slice_id).push(rating);
+  });
+  return slices;
+}
+
+function majorityPosterior(sliceRatings, category, label) {
+  const selected = sliceRatings.filter(rating => rating.labels[category].has(label)).length;
+  return selected / sliceRatings.length;
+}
+
+function weightedPosterior(sliceRatings, category, label) {
+  let support = 0;
+  let against = 0;
+  sliceRatings.forEach(rating => {
+    if (rating.labels[category].has(label)) {
+      support += rating.labels[category].get(label);
+    } else {
+      against += 1;
+    }
+  });
+  return support + against > 0 ? support / (support + against) : null;
+}
+
+// Binary Dawid-Skene for one label. Starts from the majority vote, then
+// alternates rater sensitivity/specificity (with one pseudo-count each way, so a
+// rater seen on few slices stays near chance) and slice posteriors until stable.
+// Returns { posteriors: Map(slice_id -> p), raters: Map(participant_id -> {...}), iterations }
+function dawidSkene(slices, category, label) {
+  const votes = [];
+  slices.forEach((sliceRatings, sliceId) => {
+    sliceRatings.forEach(rating => {
+      votes.push({ slice_id: sliceId, participant_id: rating.participant_id, value: rating.labels[category].has(label) ? 1 : 0 });
+    });
+  });
+
+  const posteriors = new Map();
+  slices.forEach((sliceRatings, sliceId) => posteriors.set(sliceId, majorityPosterior(sliceRatings, category, label)));
+
+  let raters = new Map();
+  let iterations = 0;
+  for (; iterations < DAWID_SKENE_MAX_ITERATIONS; iterations++) {
+    // M-step: class prior and each rater's sensitivity and specificity
+    let prior = 0;
+    posteriors.forEach(p => { prior += p; });
+    prior = Math.min(Math.max(prior / posteriors.size, 1e-6), 1 - 1e-6);
+
+    const counts = new Map();
+    votes.forEach(vote => {
+      if (!counts.has(vote.participant_id)) {
+        counts.set(vote.participant_id, { truePositive: 0, positive: 0, trueNegative: 0, negative: 0 });
+      }
+      const count = counts.get(vote.participant_id);
+      const p = posteriors.get(vote.slice_id);
+      count.positive += p;
+      count.truePositive += p * vote.value;
+      count.negative += 1 - p;
+      count.trueNegative += (1 - p) * (1 - vote.value);
+    });
+    raters = new Map();
+    counts.forEach((count, participantId) => {
+      raters.set(participantId, {
+        sensitivity: (count.truePositive + 1) / (count.positive + 2),
+        specificity: (count.trueNegative + 1) / (count.negative + 2)
+      });
+    });
+
+    // E-step: posterior that the label applies to each slice
+    const logOdds = new Map();
+    slices.forEach((sliceRatings, sliceId) => logOdds.set(sliceId, Math.log(prior / (1 - prior))));
+    votes.forEach(vote => {
+      const { sensitivity, specificity } = raters.get(vote.participant_id);
+      const ratio = vote.value === 1 ? sensitivity / (1 - specificity) : (1 - sensitivity) / specificity;
+      logOdds.set(vote.slice_id, logOdds.get(vote.slice_id) + Math.log(ratio));
+    });
+
+    let change = 0;
+    logOdds.forEach((odds, sliceId) => {
+      const p = 1 / (1 + Math.exp(-odds));
+      change = Math.max(change, Math.abs(p - posteriors.get(sliceId)));
+      posteriors.set(sliceId, p);
+    });
+    if (change < DAWID_SKENE_TOLERANCE) {
+      iterations += 1;
+      break;
+    }
+  }
+
+  return { posteriors, raters, iterations };
+}
+
+// Consensus for every slice. `rows` are annotations (participant_id, slice_id,
+// labels); `sliceRows` (id, conversation_id) lists the slices to report, including
+// those nobody rated yet. `options.categories` are the taxonomy's category keys.
+function computeConsensus(rows, sliceRows, options = {}) {
+  const strategy = options.strategy || 'majority';
+  if (!CONSENSUS_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown consensus strategy "${strategy}" (available: ${CONSENSUS_STRATEGIES.join(', ')})`);
+  }
+  const categories = options.categories || labelCategories(rows);
+
+  const ratings = buildRatings(rows, categories);
+  const slices = groupBySlice(ratings);
+  const labels = {};
+  categories.forEach(category => {
+    labels[category] = categoryLabels(ratings, category);
+  });
+
+  // Dawid-Skene is fitted once per label across all slices
+  const fitted = {};
+  const raterReliability = {};
+  if (strategy === 'dawid_skene') {
+    categories.forEach(category => {
+      fitted[category] = {};
+      labels[category].forEach(label => {
+        const model = dawidSkene(slices, category, label);
+        fitted[category][label] = model.posteriors;
+        model.raters.forEach((reliability, participantId) => {
+          if (!raterReliability[participantId]) raterReliability[participantId] = {};
+          if (!raterReliability[participantId][category]) raterReliability[participantId][category] = {};
+          raterReliability[participantId][category][label] = reliability;
+        });
+      });
+    });
+  }
+
+  const posterior = (sliceId, sliceRatings, category, label) => {
+    if (strategy === 'dawid_skene') return fitted[category][label].get(sliceId);
+    if (strategy === 'weighted') return weightedPosterior(sliceRatings, category, label);
+    return majorityPosterior(sliceRatings, category, label);
+  };
+
+  const sliceIds = new Map(sliceRows.map(slice => [slice.id, slice.conversation_id || null]));
+  ratings.forEach(rating => {
+    if (!sliceIds.has(rating.slice_id)) sliceIds.set(rating.slice_id, rating.conversation_id);
+  });
+
+  const results = [];
+  sliceIds.forEach((conversationId, sliceId) => {
+    const sliceRatings = slices.get(sliceId) || [];
+    const result = {
+      slice_id: sliceId,
+      conversation_id: conversationId,
+      raters: sliceRatings.length,
+      labels: {},
+      consensus: {}
+    };
+    categories.forEach(category => {
+      result.labels[category] = {};
+      result.consensus[category] = [];
+      if (sliceRatings.length === 0) return;
+      labels[category].forEach(label => {
+        const p = posterior(sliceId, sliceRatings, category, label);
+        result.labels[category][label] = {
+          selected: sliceRatings.filter(rating => rating.labels[category].has(label)).length,
+          posterior: p
+        };
+        if (p !== null && p > CONSENSUS_THRESHOLD) {
+          result.consensus[category].push(label);
+        }
+      });
+    });
+    results.push(result);
+  });
+
+  const report = {
+    strategy,
+    threshold: CONSENSUS_THRESHOLD,
+    categories,
+    annotations: ratings.length,
+    slices: results
+  };
+  if (strategy === 'dawid_skene') {
+    report.raters = raterReliability;
+  }
+  return report;
+}
+
+// Consensus over a study's annotations (all studies when studyId is null);
+// annotations from preview sessions are left out unless includePreview
+async function loadConsensus(conn, { studyId = null, strategy = 'majority', includePreview = false, categories } = {}) {
+  const conditions = [];
+  if (studyId) conditions.push('a.study_id = ?');
+  if (!includePreview) conditions.push('(se.preview IS NULL OR se.preview = 0)');
+  const rows = await conn.query(`
+    SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types, s.conversation_id
+    FROM annotations a
+    LEFT JOIN slices s ON a.slice_id = s.id
+    LEFT JOIN sessions se ON a.session_id = se.session_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY a.id
+  `, studyId ? [studyId] : []);
+  const sliceRows = await conn.query(`
+    SELECT id, conversation_id FROM slices
+    ${studyId ? 'WHERE study_id = ?' : ''}
+    ORDER BY id
+  `, studyId ? [studyId] : []);
+  return computeConsensus(rows, sliceRows, { strategy, categories });
+}
+
+// Consensus report as rows for the file export (see CONSENSUS_COLUMNS)
+function consensusRows(report) {
+  const rows = [];
+  report.slices.forEach(slice => {
+    report.categories.forEach(category => {
+      Object.keys(slice.labels[category]).forEach(label => {
+        const entry = slice.labels[category][label];
+        rows.push({
+          slice_id: slice.slice_id,
+          conversation_id: slice.conversation_id,
+          strategy: report.strategy,
+          category,
+          label,
+          raters: slice.raters,
+          selected: entry.selected,
+          posterior: entry.posterior,
+          consensus: slice.consensus[category].includes(label)
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+module.exports = {
+  CONSENSUS_STRATEGIES,
+  CONSENSUS_THRESHOLD,
+  CONSENSUS_COLUMNS,
+  computeConsensus,
+  loadConsensus,
+  consensusRows
+};
@@ -0,0 +1,140 @@
+// Live study monitoring: participant funnel, slice coverage, timing, sync health and agreement
+const { computeAgreement } = require('./agreement');
+const { NOT_PREVIEW } = require('./annotations');
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Participants by stage, counted once per study they joined. Participants that only
+// appear in assignments (from before progress tracking) count as started and past training.
+async function participantSummary(db, studyId) {
+  const participants = await db.query(
+    `SELECT participant_id, study_id, training_completed_at, completed_at FROM participants
+     ${studyId ? 'WHERE study_id = ?' : ''}`,
+    studyId ? [studyId] : []
+  );
+  const progress = await db.query(`
+    SELECT
+      ass.participant_id,
+      ass.study_id,
+      COUNT(*) as assigned,
+      SUM(CASE WHEN EXISTS (
+        SELECT 1 FROM annotations a
+        WHERE a.participant_id = ass.participant_id AND a.slice_id = ass.slice_id
+      ) THEN 1 ELSE 0 END) as annotated
+    FROM assignments ass
+    ${studyId ? 'WHERE ass.study_id = ?' : ''}
+    GROUP BY ass.participant_id, ass.study_id
+  `, studyId ? [studyId] : []);
+
+  const key = row => `${row.study_id}/${row.participant_id}`;
+  const byId = new Map();
+  participants.forEach(row => byId.set(key(row), { ...row, assigned: 0, annotated: 0 }));
+  progress.forEach(row => {
+    const participant = byId.get(key(row)) || {
+      participant_id: row.participant_id,
+      study_id: row.study_id,
+      training_completed_at: null,
+      completed_at: null
+    };
+    participant.assigned = Number(row.assigned);
+    participant.annotated = Number(row.annotated || 0);
+    byId.set(key(row), participant);
+  });
+
+  const summary = { started: 0, in_training: 0, annotating: 0, completed: 0 };
+  byId.forEach(participant => {
+    summary.started++;
+    const finished = participant.completed_at ||
+      (participant.assigned > 0 && participant.annotated >= participant.assigned);
+    if (finished) {
+      summary.completed++;
+    } else if (!participant.training_completed_at && participant.assigned === 0) {
+      summary.in_training++;
+    } else {
+      summary.annotating++;
+    }
+  });
+  return summary;
+}
+
+async function sliceCoverage(assignmentEngine, studyId) {
+  const target = assignmentEngine.options.targetRatings;
+  const loads = await assignmentEngine.getSliceLoads(undefined, studyId || null);
+  return {
+    target,
+    at_target: loads.filter(load => load.completed >= target).length,
+    below_target: loads.filter(load => load.completed < target).length,
+    slices: loads
+      .map(load => ({
+        slice_id: load.slice_id,
+        completed: load.completed,
+        active_assignments: load.active,
+        target
+      }))
+      .sort((a, b) => a.completed - b.completed || a.slice_id.localeCompare(b.slice_id))
+  };
+}
+
+async function timingSummary(db, studyId) {
+  const rows = await db.query(
+    `SELECT a.annotation_time_seconds FROM annotations a
+     WHERE a.annotation_time_seconds IS NOT NULL AND ${NOT_PREVIEW} ${studyId ? 'AND a.study_id = ?' : ''}`,
+    studyId ? [studyId] : []
+  );
+  const times = rows.map(row => Number(row.annotation_time_seconds));
+  return {
+    annotations: times.length,
+    median_annotation_time_seconds: median(times)
+  };
+}
+
+// Overall alpha and mean kappa per label, without the pairwise details. `labels`
+// are the taxonomy's labels as { category: [label values] }.
+async function agreementSummary(db, studyId, labels) {
+  const rows = await db.query(`
+    SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types, s.conversation_id
+    FROM annotations a
+    LEFT JOIN slices s ON a.slice_id = s.id
+    WHERE ${NOT_PREVIEW} ${studyId ? 'AND a.study_id = ?' : ''}
+    ORDER BY a.id
+  `, studyId ? [studyId] : []);
+  const overall = computeAgreement(rows, { labels }).overall.labels;
+  const summary = {};
+  Object.keys(overall).forEach(category => {
+    summary[category] = {};
+    Object.keys(overall[category]).forEach(label => {
+      summary[category][label] = {
+        alpha: overall[category][label].alpha,
+        mean_kappa: overall[category][label].mean_kappa
+      };
+    });
+  });
+  return summary;
+}
+
+// studyId limits participants, slices, timing and agreement to one study; delivery
+// status is always global. `labels` are the taxonomy labels agreement reports on.
+async function buildDashboard({ db, assignmentEngine, sheetsService, deliveryWorker, studyId = null, labels }) {
+  return {
+    generated_at: new Date().toISOString(),
+    study_id: studyId,
+    participants: await participantSummary(db, studyId),
+    slices: await sliceCoverage(assignmentEngine, studyId),
+    timing: await timingSummary(db, studyId),
+    sheets: {
+      configured: sheetsService.isConfigured(),
+      saved: sheetsService.syncStats.saved,
+      failed: sheetsService.syncStats.failed,
+      recent_failures: sheetsService.syncStats.recentFailures
+    },
+    sinks: await deliveryWorker.getStatus(),
+    agreement: await agreementSummary(db, studyId, labels)
+  };
+}
+
+module.exports = { buildDashboard, median };
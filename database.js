@@ -1,53 +1,118 @@
 // Database abstraction layer - supports both SQLite and PostgreSQL
+const fs = require('fs');
 const sqlite3 = require('sqlite3').verbose();
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+
+// Return COUNT(*) and other BIGINT results as numbers, like SQLite does
+types.setTypeParser(20, value => parseInt(value, 10));
+
+// Column types that differ between the two dialects
+const COLUMN_TYPES = {
+  sqlite: {
+    serial: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    timestamp: 'DATETIME',
+    real: 'REAL'
+  },
+  postgres: {
+    serial: 'SERIAL PRIMARY KEY',
+    timestamp: 'TIMESTAMP',
+    real: 'DOUBLE PRECISION'
+  }
+};
+
+// Build pg pool options from a DATABASE_URL.
+// SSL follows the URL's sslmode (or PGSSLMODE); a CA certificate can be given as a
+// file via sslrootcert in the URL, DATABASE_CA_CERT or PGSSLROOTCERT.
+function postgresConfig(databaseUrl) {
+  const url = new URL(databaseUrl);
+  const isLocal = ['localhost', '127.0.0.1', '::1'].includes(url.hostname);
+  const sslmode = url.searchParams.get('sslmode') || process.env.PGSSLMODE || (isLocal ? 'disable' : 'require');
+  const caFile = url.searchParams.get('sslrootcert') || process.env.DATABASE_CA_CERT || process.env.PGSSLROOTCERT;
+
+  // pg lets SSL settings in the connection string override the ssl option, so strip them
+  ['sslmode', 'sslrootcert', 'sslcert', 'sslkey'].forEach(param => url.searchParams.delete(param));
+
+  const ca = caFile ? fs.readFileSync(caFile, 'utf8') : undefined;
+  let ssl;
+  switch (sslmode) {
+    case 'disable':
+    case 'allow':
+      ssl = false;
+      break;
+    case 'verify-ca':
+      // Verify the certificate chain but not the host name
+      ssl = { ca, rejectUnauthorized: true, checkServerIdentity: () => undefined };
+      break;
+    case 'verify-full':
+      ssl = { ca, rejectUnauthorized: true };
+      break;
+    case 'prefer':
+    case 'require':
+      // Like libpq: encrypt, and only verify when a CA certificate is supplied
+      ssl = ca ? { ca, rejectUnauthorized: true } : { rejectUnauthorized: false };
+      break;
+    default:
+      throw new Error(`Unsupported sslmode: ${sslmode}`);
+  }
+
+  return {
+    config: {
+      connectionString: url.toString(),
+      ssl,
+      max: parseInt(process.env.DATABASE_POOL_MAX || '10', 10),
+      idleTimeoutMillis: 30000
+    },
+    sslmode
+  };
+}
 
 class Database {
-  constructor() {
-    // For now, always use SQLite to avoid SSL issues
-    // TODO: Fix PostgreSQL SSL connection later
-    this.type = 'sqlite';
-    
-    // Use a more persistent path - /app is the working directory in DigitalOcean
-    const dbPath = process.env.NODE_ENV === 'production' ? './validation.db' : 'validation.db';
-    this.db = new sqlite3.Database(dbPath);
-    console.log(`Using SQLite database at: ${dbPath}`);
-    
-    /* Commented out PostgreSQL for now due to SSL issues
-    if (process.env.DATABASE_URL) {
-      // Use PostgreSQL for production
+  constructor(options = {}) {
+    const databaseUrl = options.databaseUrl !== undefined ? options.databaseUrl : process.env.DATABASE_URL;
+
+    if (databaseUrl && !options.filename) {
+      // Use PostgreSQL for production - the hosting wipes local files on redeploy
       this.type = 'postgres';
-      
-      // Try to completely disable SSL verification
-      process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-      
-      this.db = new Pool({
-        connectionString: process.env.DATABASE_URL,
-        ssl: false
+      const { config, sslmode } = postgresConfig(databaseUrl);
+      this.db = new Pool(config);
+      this.db.on('error', (error) => {
+        // Errors on idle clients must not crash the server; the pool replaces them
+        console.error('PostgreSQL pool error:', error.message);
       });
-      console.log('Using PostgreSQL database with SSL completely disabled');
+      console.log(`Using PostgreSQL database (sslmode: ${sslmode})`);
     } else {
       // Use SQLite for local development
+      // (options.filename / SQLITE_PATH allow e.g. ':memory:' for tests)
       this.type = 'sqlite';
-      this.db = new sqlite3.Database('validation.db');
-      console.log('Using SQLite database');
+      const dbPath = options.filename || process.env.SQLITE_PATH ||
+        (process.env.NODE_ENV === 'production' ? './validation.db' : 'validation.db');
+      this.db = new sqlite3.Database(dbPath);
+      console.log(`Using SQLite database at: ${dbPath}`);
     }
-    */
+
+    // SQLite has a single connection, so transactions are queued one after another
+    this.transactionQueue = Promise.resolve();
   }
 
-  // Execute a query
-  async query(sql, params = []) {
+  // Dialect-specific column type ('serial', 'timestamp' or 'real')
+  columnType(kind) {
+    return COLUMN_TYPES[this.type][kind];
+  }
+
+  // Convert ? placeholders to $1, $2, etc. for PostgreSQL
+  toPostgresSql(sql) {
+    let paramIndex = 1;
+    return sql.replace(/\?/g, () => `$${paramIndex++}`);
+  }
+
+  // Execute a query on a specific connection (the shared one, or a transaction's)
+  async queryOn(conn, sql, params = []) {
     if (this.type === 'postgres') {
-      // Convert ? placeholders to $1, $2, etc. for PostgreSQL
-      let pgSql = sql;
-      let paramIndex = 1;
-      pgSql = pgSql.replace(/\?/g, () => `$${paramIndex++}`);
-      
-      const result = await this.db.query(pgSql, params);
+      const result = await conn.query(this.toPostgresSql(sql), params);
       return result.rows;
     } else {
       return new Promise((resolve, reject) => {
-        this.db.all(sql, params, (err, rows) => {
+        conn.all(sql, params, (err, rows) => {
           if (err) reject(err);
           else resolve(rows || []);
         });
@@ -55,19 +120,14 @@ class Database {
     }
   }
 
-  // Execute a single row query
-  async get(sql, params = []) {
+  // Execute a single row query on a specific connection
+  async getOn(conn, sql, params = []) {
     if (this.type === 'postgres') {
-      // Convert ? placeholders to $1, $2, etc. for PostgreSQL
-      let pgSql = sql;
-      let paramIndex = 1;
-      pgSql = pgSql.replace(/\?/g, () => `$${paramIndex++}`);
-      
-      const result = await this.db.query(pgSql, params);
+      const result = await conn.query(this.toPostgresSql(sql), params);
       return result.rows[0];
     } else {
       return new Promise((resolve, reject) => {
-        this.db.get(sql, params, (err, row) => {
+        conn.get(sql, params, (err, row) => {
           if (err) reject(err);
           else resolve(row);
         });
@@ -75,19 +135,16 @@ class Database {
     }
   }
 
-  // Execute an insert/update/delete
-  async run(sql, params = []) {
+  // Execute an insert/update/delete on a specific connection
+  async runOn(conn, sql, params = []) {
     if (this.type === 'postgres') {
-      // Convert ? placeholders to $1, $2, etc. for PostgreSQL
-      let pgSql = sql;
-      let paramIndex = 1;
-      pgSql = pgSql.replace(/\?/g, () => `$${paramIndex++}`);
-      
-      const result = await this.db.query(pgSql, params);
-      return { changes: result.rowCount, lastID: result.insertId };
+      const result = await conn.query(this.toPostgresSql(sql), params);
+      // pg has no insert ID; statements that need one use RETURNING id (see insert())
+      const lastID = result.rows && result.rows[0] ? result.rows[0].id : undefined;
+      return { changes: result.rowCount, lastID };
     } else {
       return new Promise((resolve, reject) => {
-        this.db.run(sql, params, function(err) {
+        conn.run(sql, params, function(err) {
           if (err) reject(err);
           else resolve({ changes: this.changes, lastID: this.lastID });
         });
@@ -95,65 +152,140 @@ class Database {
     }
   }
 
-  // Initialize database tables
+  // Insert a row into a table with an `id` column and return { changes, lastID }
+  async insertOn(conn, sql, params = []) {
+    if (this.type === 'postgres') {
+      return this.runOn(conn, `${sql} RETURNING id`, params);
+    }
+    return this.runOn(conn, sql, params);
+  }
+
+  // Statements outside a transaction must not run in the middle of an SQLite one
+  async waitForTransactions() {
+    if (this.type === 'sqlite') {
+      await this.transactionQueue;
+    }
+  }
+
+  // Execute a query
+  async query(sql, params = []) {
+    await this.waitForTransactions();
+    return this.queryOn(this.db, sql, params);
+  }
+
+  // Execute a single row query
+  async get(sql, params = []) {
+    await this.waitForTransactions();
+    return this.getOn(this.db, sql, params);
+  }
+
+  // Execute an insert/update/delete
+  async run(sql, params = []) {
+    await this.waitForTransactions();
+    return this.runOn(this.db, sql, params);
+  }
+
+  // Execute an insert and return the new row's id as lastID
+  async insert(sql, params = []) {
+    await this.waitForTransactions();
+    return this.insertOn(this.db, sql, params);
+  }
+
+  // Close the connection (SQLite) or drain the pool (PostgreSQL)
+  async close() {
+    await this.waitForTransactions();
+    if (this.type === 'postgres') {
+      await this.db.end();
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      this.db.close(err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Run `callback(tx)` inside a transaction. `tx` has the same query/get/run
+  // methods as the database, bound to the transaction. Commits when the
+  // callback resolves and rolls back when it throws.
+  async transaction(callback) {
+    if (this.type === 'postgres') {
+      const client = await this.db.connect();
+      const tx = this.transactionHandle(client);
+      try {
+        await client.query('BEGIN');
+        const result = await callback(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    const pending = this.transactionQueue.then(async () => {
+      const tx = this.transactionHandle(this.db);
+      await tx.run('BEGIN IMMEDIATE');
+      try {
+        const result = await callback(tx);
+        await tx.run('COMMIT');
+        return result;
+      } catch (error) {
+        await tx.run('ROLLBACK');
+        throw error;
+      }
+    });
+
+    // Keep the queue moving whether or not this transaction failed
+    this.transactionQueue = pending.catch(() => {});
+    return pending;
+  }
+
+  transactionHandle(conn) {
+    return {
+      type: this.type,
+      query: (sql, params) => this.queryOn(conn, sql, params),
+      get: (sql, params) => this.getOn(conn, sql, params),
+      run: (sql, params) => this.runOn(conn, sql, params),
+      insert: (sql, params) => this.insertOn(conn, sql, params),
+      columnType: (kind) => this.columnType(kind),
+      // Schema helpers for migrations; both are no-ops when already applied
+      addColumn: async (table, column, definition) => {
+        if (this.type === 'postgres') {
+          await conn.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+          return;
+        }
+        const columns = await this.queryOn(conn, `PRAGMA table_info(${table})`);
+        if (!columns.some(col => col.name === column)) {
+          await this.runOn(conn, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+      },
+      dropColumn: async (table, column) => {
+        if (this.type === 'postgres') {
+          await conn.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}`);
+          return;
+        }
+        const columns = await this.queryOn(conn, `PRAGMA table_info(${table})`);
+        if (columns.some(col => col.name === column)) {
+          await this.runOn(conn, `ALTER TABLE ${table} DROP COLUMN ${column}`);
+        }
+      },
+      // Serialize concurrent transactions that take the same lock (no-op on SQLite,
+      // where transactions already run one at a time)
+      lock: async (name) => {
+        if (this.type === 'postgres') {
+          await conn.query('SELECT pg_advisory_xact_lock(hashtext($1))', [name]);
+        }
+      }
+    };
+  }
+
+  // Create tables and bring the schema up to date by running pending migrations
   async initialize() {
-    const createSlicesTable = this.type === 'postgres' ?
-      `CREATE TABLE IF NOT EXISTS slices (
-        id TEXT PRIMARY KEY,
-        conversation_id TEXT,
-        context TEXT,
-        focus_turns TEXT,
-        hybrid_predictions TEXT
-      )` :
-      `CREATE TABLE IF NOT EXISTS slices (
-        id TEXT PRIMARY KEY,
-        conversation_id TEXT,
-        context TEXT,
-        focus_turns TEXT,
-        hybrid_predictions TEXT
-      )`;
-
-    const createAssignmentsTable = this.type === 'postgres' ?
-      `CREATE TABLE IF NOT EXISTS assignments (
-        participant_id TEXT,
-        slice_id TEXT,
-        assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (participant_id, slice_id)
-      )` :
-      `CREATE TABLE IF NOT EXISTS assignments (
-        participant_id TEXT,
-        slice_id TEXT,
-        assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (participant_id, slice_id)
-      )`;
-
-    const createAnnotationsTable = this.type === 'postgres' ?
-      `CREATE TABLE IF NOT EXISTS annotations (
-        id SERIAL PRIMARY KEY,
-        participant_id TEXT,
-        slice_id TEXT,
-        interaction_types TEXT,
-        curiosity_types TEXT,
-        routing_validation TEXT,
-        annotation_time_seconds INTEGER,
-        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )` :
-      `CREATE TABLE IF NOT EXISTS annotations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        participant_id TEXT,
-        slice_id TEXT,
-        interaction_types TEXT,
-        curiosity_types TEXT,
-        routing_validation TEXT,
-        annotation_time_seconds INTEGER,
-        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`;
-
-    await this.run(createSlicesTable);
-    await this.run(createAssignmentsTable);
-    await this.run(createAnnotationsTable);
+    const Migrator = require('./migrate');
+    const applied = await new Migrator(this).migrate();
     
-    console.log('Database tables initialized');
+    console.log(`Database tables initialized (${applied.length} migrations applied)`);
   }
 }
 
@@ -0,0 +1,266 @@
+// Durable annotation delivery: each annotation is queued once per sink in
+// annotation_deliveries, in the same transaction that stores it, and a
+// background worker delivers the queue to every sink with retries
+const { toSqlTimestamp } = require('./assignment');
+
+const DEFAULT_OPTIONS = {
+  // How often the worker looks for due rows
+  pollIntervalMs: parseInt(process.env.DELIVERY_INTERVAL_MS || process.env.SHEETS_SYNC_INTERVAL_MS || '5000', 10),
+  // Rows delivered per batch
+  batchSize: parseInt(process.env.DELIVERY_BATCH_SIZE || process.env.SHEETS_SYNC_BATCH_SIZE || '50', 10),
+  // Retry delays double from baseDelayMs up to maxDelayMs
+  baseDelayMs: 5000,
+  maxDelayMs: 30 * 60 * 1000,
+  // Rows being delivered are leased so another server instance does not deliver them too
+  leaseMs: 2 * 60 * 1000
+};
+
+// Queue an annotation for every sink; `conn` is normally the transaction that inserted it
+async function enqueueAnnotation(conn, annotationId, sinkNames) {
+  for (const sink of sinkNames) {
+    await conn.run(`
+      INSERT INTO annotation_deliveries (annotation_id, sink) VALUES (?, ?)
+      ON CONFLICT (annotation_id, sink) DO UPDATE SET
+        status = 'pending', next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+    `, [annotationId, sink]);
+  }
+}
+
+// Exponential backoff with jitter, so failing rows do not retry in lockstep
+function retryDelay(attempts, options) {
+  const delay = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+// Rate-limit responses (HTTP 429, or a Google 403 with a quota reason)
+function isRateLimitError(error) {
+  const status = error.code || (error.response && error.response.status);
+  return status === 429 || (status === 403 && /rate|quota/i.test(error.message || ''));
+}
+
+function retryAfterMs(error) {
+  if (error.retryAfterSeconds) return error.retryAfterSeconds * 1000;
+  const headers = error.response && error.response.headers;
+  const seconds = headers ? parseInt(headers['retry-after'], 10) : NaN;
+  return isNaN(seconds) ? null : seconds * 1000;
+}
+
+class DeliveryWorker {
+  constructor(db, sinks, options = {}) {
+    this.db = db;
+    this.sinks = sinks;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.running = false;
+    // Earliest time the next request may be made, per sink
+    this.nextRequestAt = new Map();
+  }
+
+  sinkNames() {
+    return this.sinks.map(sink => sink.name);
+  }
+
+  getSink(name) {
+    return this.sinks.find(sink => sink.name === name) || null;
+  }
+
+  start() {
+    if (this.timer || this.sinks.length === 0) return;
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Delivery worker error:', error.message);
+      }
+      if (this.timer) this.timer = setTimeout(tick, this.options.pollIntervalMs);
+    };
+    this.timer = setTimeout(tick, this.options.pollIntervalMs);
+    console.log(`Delivery worker started for sinks: ${this.sinkNames().join(', ')}`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Wait until the sink's rate limit allows another request
+  async throttle(sink) {
+    const wait = (this.nextRequestAt.get(sink.name) || 0) - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    this.nextRequestAt.set(sink.name, Date.now() + 60000 / sink.requestsPerMinute);
+  }
+
+  // Lease up to batchSize due rows for a sink. Returns the rows, with their
+  // annotations, and the lease; a row whose next_attempt_at no longer equals
+  // the lease was requeued or re-leased while we delivered it.
+  async claimBatch(sink) {
+    return this.db.transaction(async tx => {
+      await tx.lock(`delivery-${sink.name}`);
+      const now = new Date();
+      const rows = await tx.query(`
+        SELECT d.id as delivery_id, d.attempts, a.*
+        FROM annotation_deliveries d
+        JOIN annotations a ON a.id = d.annotation_id
+        WHERE d.sink = ? AND d.status = 'pending' AND d.next_attempt_at <= ?
+        ORDER BY d.id
+        LIMIT ?
+      `, [sink.name, toSqlTimestamp(now), this.options.batchSize]);
+
+      const leaseUntil = toSqlTimestamp(new Date(now.getTime() + this.options.leaseMs));
+      if (rows.length > 0) {
+        const placeholders = rows.map(() => '?').join(', ');
+        await tx.run(
+          `UPDATE annotation_deliveries SET next_attempt_at = ? WHERE id IN (${placeholders})`,
+          [leaseUntil, ...rows.map(row => row.delivery_id)]
+        );
+      }
+      return { rows, leaseUntil };
+    });
+  }
+
+  // Deliver one batch of due rows to one sink. Returns { delivered, failed }.
+  async deliverBatch(sink) {
+    const { rows, leaseUntil } = await this.claimBatch(sink);
+    if (rows.length === 0) return { delivered: 0, failed: 0 };
+
+    const ids = rows.map(row => row.delivery_id);
+    const placeholders = ids.map(() => '?').join(', ');
+    await this.throttle(sink);
+    try {
+      await sink.deliver(rows);
+    } catch (error) {
+      const attempts = rows[0].attempts + 1;
+      let delay = retryDelay(attempts, this.options);
+      if (isRateLimitError(error)) {
+        // Back off every request to this sink, not just this batch
+        delay = Math.max(delay, retryAfterMs(error) || 60000);
+        this.nextRequestAt.set(sink.name, Math.max(this.nextRequestAt.get(sink.name) || 0, Date.now() + delay));
+      }
+      console.error(`Delivery to ${sink.name} failed for ${rows.length} annotations (retry in ${Math.round(delay / 1000)}s):`, error.message);
+      await this.db.run(`
+        UPDATE annotation_deliveries
+        SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?
+        WHERE id IN (${placeholders}) AND status = 'pending' AND next_attempt_at = ?
+      `, [error.message, toSqlTimestamp(new Date(Date.now() + delay)), ...ids, leaseUntil]);
+      return { delivered: 0, failed: rows.length };
+    }
+
+    // Rows that lost the lease stay pending, so a revision saved meanwhile is delivered too
+    await this.db.run(`
+      UPDATE annotation_deliveries
+      SET status = 'delivered', attempts = attempts + 1, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+      WHERE id IN (${placeholders}) AND status = 'pending' AND next_attempt_at = ?
+    `, [...ids, leaseUntil]);
+    console.log(`Delivered ${rows.length} annotations to ${sink.name}`);
+    return { delivered: rows.length, failed: 0 };
+  }
+
+  // One batch per configured sink. A failing sink does not hold up the others.
+  async runOnce() {
+    const totals = { delivered: 0, failed: 0 };
+    if (this.running) return totals;
+    this.running = true;
+    try {
+      for (const sink of this.sinks.filter(s => s.isConfigured())) {
+        const result = await this.deliverBatch(sink);
+        totals.delivered += result.delivered;
+        totals.failed += result.failed;
+      }
+      return totals;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Deliver every due row now (used after a resync and in tests)
+  async drain() {
+    let total = 0;
+    for (;;) {
+      const { delivered } = await this.runOnce();
+      if (delivered === 0) return total;
+      total += delivered;
+    }
+  }
+
+  // Delivery counts per sink, plus each sink's oldest pending row
+  async getStatus() {
+    const counts = await this.db.query(
+      'SELECT sink, status, COUNT(*) as count FROM annotation_deliveries GROUP BY sink, status'
+    );
+    const status = {};
+    for (const sink of this.sinks) {
+      const oldest = await this.db.get(`
+        SELECT created_at, attempts, last_error FROM annotation_deliveries
+        WHERE sink = ? AND status = 'pending' ORDER BY id LIMIT 1
+      `, [sink.name]);
+      status[sink.name] = { configured: sink.isConfigured(), pending: 0, delivered: 0, oldest_pending: oldest || null };
+    }
+    counts.forEach(row => {
+      if (status[row.sink]) status[row.sink][row.status] = Number(row.count);
+    });
+    return status;
+  }
+
+  // Bring a sink in line with the database.
+  // 'backfill' queues every annotation the sink does not have yet (or every
+  // annotation with no delivery record, for sinks that cannot list their contents);
+  // 'rebuild' rewrites the sink's contents from the database in one go.
+  async resync(sinkName, mode = 'backfill') {
+    const sink = this.getSink(sinkName);
+    if (!sink) {
+      throw new Error(`Annotation sink "${sinkName}" is not enabled`);
+    }
+    if (!sink.isConfigured()) {
+      throw new Error(`Annotation sink "${sinkName}" is not configured`);
+    }
+    const annotations = await this.db.query('SELECT * FROM annotations ORDER BY id');
+
+    if (mode === 'rebuild') {
+      if (!sink.rewrite) {
+        throw new Error(`Annotation sink "${sinkName}" does not support rebuild`);
+      }
+      await this.throttle(sink);
+      await sink.rewrite(annotations);
+      await this.db.transaction(async tx => {
+        for (const annotation of annotations) {
+          await tx.run(`
+            INSERT INTO annotation_deliveries (annotation_id, sink, status, delivered_at)
+            VALUES (?, ?, 'delivered', CURRENT_TIMESTAMP)
+            ON CONFLICT (annotation_id, sink) DO UPDATE SET
+              status = 'delivered', delivered_at = CURRENT_TIMESTAMP, last_error = NULL
+          `, [annotation.id, sink.name]);
+        }
+      });
+      return { sink: sink.name, mode, written: annotations.length, queued: 0 };
+    }
+
+    let present;
+    if (sink.getDeliveredIds) {
+      await this.throttle(sink);
+      present = await sink.getDeliveredIds();
+    } else {
+      const rows = await this.db.query(
+        'SELECT annotation_id FROM annotation_deliveries WHERE sink = ?',
+        [sink.name]
+      );
+      present = new Set(rows.map(row => Number(row.annotation_id)));
+    }
+
+    const missing = annotations.filter(annotation => !present.has(annotation.id));
+    await this.db.transaction(async tx => {
+      for (const annotation of missing) {
+        await enqueueAnnotation(tx, annotation.id, [sink.name]);
+      }
+      // Rows the sink already has are no longer pending
+      for (const annotation of annotations.filter(a => present.has(a.id))) {
+        await tx.run(`
+          UPDATE annotation_deliveries SET status = 'delivered', delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+          WHERE annotation_id = ? AND sink = ? AND status = 'pending'
+        `, [annotation.id, sink.name]);
+      }
+    });
+    return { sink: sink.name, mode, present: annotations.length - missing.length, queued: missing.length };
+  }
+}
+
+module.exports = { DeliveryWorker, enqueueAnnotation, retryDelay, isRateLimitError };
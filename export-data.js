@@ -0,0 +1,81 @@
+// Export annotations to a file, with the same formats and filters as /api/export.
+// --consensus=strategy writes consensus labels per slice instead (as /api/consensus).
+const fs = require('fs');
+const Database = require('./database');
+const {
+  ExportError,
+  listFormats,
+  listLayouts,
+  getFormat,
+  parseExportOptions,
+  exportFileName,
+  writeExport,
+  writeRows
+} = require('./exporters');
+const { CONSENSUS_STRATEGIES, CONSENSUS_COLUMNS, loadConsensus, consensusRows } = require('./consensus');
+
+function parseArgs(argv) {
+  const values = {};
+  argv.forEach(arg => {
+    if (arg === '--help') {
+      values.help = true;
+    } else if (arg === '--include-preview') {
+      values.include_preview = true;
+    } else {
+      const match = arg.match(/^--([\w-]+)=(.*)$/);
+      if (!match) {
+        throw new ExportError(`Unknown argument "${arg}"`);
+      }
+      values[match[1].replace(/-/g, '_')] = match[2];
+    }
+  });
+  return values;
+}
+
+async function main(argv) {
+  const values = parseArgs(argv);
+  if (values.help) {
+    console.log('Usage: node export-data.js [--format=name] [--layout=name] [--out=path] [--study=id]');
+    console.log('         [--participant=id,...] [--dataset-version=id] [--from=date] [--to=date] [--include-preview]');
+    console.log('       node export-data.js --consensus=strategy [--format=name] [--out=path] [--study=id] [--include-preview]');
+    console.log(`Formats: ${listFormats().join(', ')}; layouts: ${listLayouts().join(', ')}`);
+    console.log(`Consensus strategies: ${CONSENSUS_STRATEGIES.join(', ')}`);
+    return;
+  }
+
+  if (values.consensus !== undefined && !CONSENSUS_STRATEGIES.includes(values.consensus)) {
+    throw new ExportError(`Unknown consensus strategy "${values.consensus}" (available: ${CONSENSUS_STRATEGIES.join(', ')})`);
+  }
+  const options = parseExportOptions(values);
+  const outPath = values.out || (values.consensus ?
+    `consensus_${values.consensus}.${getFormat(options.format).extension}` :
+    exportFileName(options));
+
+  const db = new Database();
+  try {
+    await db.initialize();
+    if (values.consensus) {
+      const report = await loadConsensus(db, {
+        studyId: options.filters.studyId,
+        strategy: values.consensus,
+        includePreview: options.filters.includePreview
+      });
+      const result = await writeRows(options.format, CONSENSUS_COLUMNS, consensusRows(report), fs.createWriteStream(outPath));
+      console.log(`Exported ${values.consensus} consensus for ${report.slices.length} slices (${result.rows} rows) to ${outPath}`);
+    } else {
+      const result = await writeExport(db, options, fs.createWriteStream(outPath));
+      console.log(`Exported ${result.annotations} annotations (${result.rows} rows) to ${outPath}`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error instanceof ExportError ? error.message : error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,306 @@
+// Helpers shared by the export formats: the annotation query, the wide, long and
+// routing row layouts, and CSV escaping
+const { parseJson, toIsoTimestamp } = require('../sinks/common');
+const { computeGoldAccuracy } = require('../gold-standard');
+
+// Annotations read per query; exports never hold more than one batch in memory
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || '500', 10);
+
+// Column types: string, integer, number, boolean, timestamp, or json (nested
+// values in JSONL, JSON text in CSV and Parquet)
+const WIDE_COLUMNS = [
+  { name: 'annotation_id', type: 'integer' },
+  { name: 'revision', type: 'integer' },
+  { name: 'participant_id', type: 'string' },
+  { name: 'study_id', type: 'string' },
+  { name: 'session_id', type: 'string' },
+  { name: 'slice_id', type: 'string' },
+  { name: 'conversation_id', type: 'string' },
+  { name: 'dataset_version_id', type: 'integer' },
+  { name: 'taxonomy_version_id', type: 'integer' },
+  { name: 'labels', type: 'json' },
+  { name: 'interaction_types', type: 'json' },
+  { name: 'curiosity_types', type: 'json' },
+  { name: 'routing_validation', type: 'json' },
+  { name: 'routing_decision', type: 'string' },
+  { name: 'annotation_time_seconds', type: 'number' },
+  { name: 'submitted_at', type: 'timestamp' },
+  { name: 'gold_accuracy', type: 'number' },
+  { name: 'gold_flagged', type: 'boolean' },
+  { name: 'quality_flags', type: 'json' }
+];
+
+// One row per (annotation, category, label); a category left empty gets one
+// row with a null label, so "nothing selected" stays visible
+const LONG_COLUMNS = [
+  { name: 'annotation_id', type: 'integer' },
+  { name: 'revision', type: 'integer' },
+  { name: 'participant_id', type: 'string' },
+  { name: 'study_id', type: 'string' },
+  { name: 'session_id', type: 'string' },
+  { name: 'slice_id', type: 'string' },
+  { name: 'conversation_id', type: 'string' },
+  { name: 'dataset_version_id', type: 'integer' },
+  { name: 'taxonomy_version_id', type: 'integer' },
+  { name: 'category', type: 'string' },
+  { name: 'label', type: 'string' },
+  { name: 'confidence', type: 'string' },
+  { name: 'confidence_score', type: 'number' },
+  { name: 'annotation_time_seconds', type: 'number' },
+  { name: 'submitted_at', type: 'timestamp' },
+  { name: 'gold_accuracy', type: 'number' },
+  { name: 'gold_flagged', type: 'boolean' },
+  { name: 'quality_flags', type: 'json' }
+];
+
+// One row per (annotation, model prediction) the participant judged in the
+// routing validation step; annotations without that step have no rows
+const ROUTING_COLUMNS = [
+  { name: 'annotation_id', type: 'integer' },
+  { name: 'revision', type: 'integer' },
+  { name: 'participant_id', type: 'string' },
+  { name: 'study_id', type: 'string' },
+  { name: 'session_id', type: 'string' },
+  { name: 'slice_id', type: 'string' },
+  { name: 'conversation_id', type: 'string' },
+  { name: 'dataset_version_id', type: 'integer' },
+  { name: 'category', type: 'string' },
+  { name: 'label', type: 'string' },
+  { name: 'model_confidence', type: 'number' },
+  { name: 'prediction_source', type: 'string' },
+  { name: 'verdict', type: 'string' },
+  { name: 'routing_reason', type: 'string' },
+  { name: 'routing_decision', type: 'string' },
+  { name: 'routing_time_seconds', type: 'number' },
+  { name: 'submitted_at', type: 'timestamp' },
+  { name: 'quality_flags', type: 'json' }
+];
+
+const LAYOUTS = {
+  wide: { columns: WIDE_COLUMNS, rows: record => [record] },
+  long: { columns: LONG_COLUMNS, rows: longRows },
+  routing: { columns: ROUTING_COLUMNS, rows: routingRows }
+};
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+// Gold accuracy of the given participants, keyed by participant ID.
+// `categories` are the taxonomy's category keys.
+async function loadGoldAccuracy(conn, { studyId = null, participantIds, categories }) {
+  const annotationRows = await conn.query(`
+    SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types, s.gold_labels
+    FROM annotations a
+    JOIN slices s ON a.slice_id = s.id
+    WHERE s.gold_labels IS NOT NULL
+    AND a.participant_id IN (${participantIds.map(() => '?').join(', ')})
+    ${studyId ? 'AND a.study_id = ?' : ''}
+    ORDER BY a.id
+  `, studyId ? [...participantIds, studyId] : participantIds);
+  const sliceRows = new Map(annotationRows.map(row => [row.slice_id, { id: row.slice_id, gold_labels: row.gold_labels }]));
+  const results = computeGoldAccuracy(Array.from(sliceRows.values()), annotationRows, { categories });
+  return new Map(results.map(result => [result.participant_id, result]));
+}
+
+// WHERE clause for the export filters: { studyId, participantIds, datasetVersionId,
+// from, to, includePreview }. Slices and sessions are left joins, so annotations
+// without an assignment or session are still exported.
+function filterClause(filters) {
+  const conditions = [];
+  const params = [];
+  if (filters.studyId) {
+    conditions.push('a.study_id = ?');
+    params.push(filters.studyId);
+  }
+  if (filters.participantIds && filters.participantIds.length > 0) {
+    conditions.push(`a.participant_id IN (${filters.participantIds.map(() => '?').join(', ')})`);
+    params.push(...filters.participantIds);
+  }
+  if (filters.datasetVersionId !== null && filters.datasetVersionId !== undefined) {
+    conditions.push('a.dataset_version_id = ?');
+    params.push(filters.datasetVersionId);
+  }
+  if (filters.from) {
+    conditions.push('a.submitted_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('a.submitted_at < ?');
+    params.push(filters.to);
+  }
+  if (!filters.includePreview) {
+    conditions.push('(se.preview IS NULL OR se.preview = 0)');
+  }
+  return { conditions, params };
+}
+
+// Call `onBatch(rows)` for every batch of matching annotations, ordered by
+// participant and annotation ID (keyset pagination, so batches stay cheap)
+async function eachAnnotationBatch(conn, filters, onBatch, batchSize = EXPORT_BATCH_SIZE) {
+  const { conditions, params } = filterClause(filters);
+  let last = null;
+  for (;;) {
+    const page = last ? ['(a.participant_id > ? OR (a.participant_id = ? AND a.id > ?))'] : [];
+    const pageParams = last ? [last.participant_id, last.participant_id, last.id] : [];
+    const where = [...conditions, ...page];
+    const rows = await conn.query(`
+      SELECT
+        a.id,
+        a.revision,
+        a.participant_id,
+        a.study_id,
+        a.session_id,
+        a.slice_id,
+        a.interaction_types,
+        a.curiosity_types,
+        a.labels,
+        a.routing_validation,
+        a.annotation_time_seconds,
+        a.submitted_at,
+        a.taxonomy_version_id,
+        a.dataset_version_id,
+        s.conversation_id
+      FROM annotations a
+      LEFT JOIN slices s ON a.slice_id = s.id
+      LEFT JOIN sessions se ON a.session_id = se.session_id
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY a.participant_id, a.id
+      LIMIT ${batchSize}
+    `, [...params, ...pageParams]);
+    if (rows.length === 0) return;
+    await onBatch(rows);
+    if (rows.length < batchSize) return;
+    last = rows[rows.length - 1];
+  }
+}
+
+// Annotation row from the database as a wide export record, with the
+// participant's gold accuracy and annotator quality flags when known
+function exportRecord(row, gold, profile) {
+  const interactionTypes = parseJson(row.interaction_types, []);
+  const curiosityTypes = parseJson(row.curiosity_types, []);
+  const routingValidation = parseJson(row.routing_validation, null) || {};
+  return {
+    annotation_id: toNumber(row.id),
+    revision: row.revision === undefined ? 1 : Number(row.revision),
+    participant_id: row.participant_id,
+    study_id: row.study_id,
+    session_id: row.session_id || null,
+    slice_id: row.slice_id,
+    conversation_id: row.conversation_id || null,
+    dataset_version_id: toNumber(row.dataset_version_id),
+    taxonomy_version_id: toNumber(row.taxonomy_version_id),
+    // Annotations from before configurable taxonomies only have the two fixed categories
+    labels: parseJson(row.labels, null) || { interaction_types: interactionTypes, curiosity_types: curiosityTypes },
+    interaction_types: interactionTypes,
+    curiosity_types: curiosityTypes,
+    routing_validation: routingValidation,
+    routing_decision: routingValidation.routing ? routingValidation.routing.decision || null : null,
+    annotation_time_seconds: toNumber(row.annotation_time_seconds),
+    submitted_at: toIsoTimestamp(row.submitted_at),
+    gold_accuracy: gold ? Number(gold.accuracy.toFixed(3)) : null,
+    gold_flagged: gold ? Boolean(gold.flagged) : null,
+    quality_flags: profile ? profile.flags : []
+  };
+}
+
+function longRows(record) {
+  const { labels, interaction_types, curiosity_types, routing_validation, routing_decision, ...shared } = record;
+  const rows = [];
+  Object.keys(labels).forEach(category => {
+    const entries = Array.isArray(labels[category]) ? labels[category] : [];
+    if (entries.length === 0) {
+      rows.push({ ...shared, category, label: null, confidence: null, confidence_score: null });
+      return;
+    }
+    entries.forEach(entry => {
+      const label = typeof entry === 'string' ? { type: entry } : entry;
+      rows.push({
+        ...shared,
+        category,
+        label: label.type,
+        confidence: label.categorical || null,
+        confidence_score: toNumber(label.confidence)
+      });
+    });
+  });
+  return rows;
+}
+
+function routingRows(record) {
+  const validation = record.routing_validation || {};
+  const predictions = Array.isArray(validation.predictions) ? validation.predictions : [];
+  if (predictions.length === 0 && !validation.routing) return [];
+
+  const shared = {
+    annotation_id: record.annotation_id,
+    revision: record.revision,
+    participant_id: record.participant_id,
+    study_id: record.study_id,
+    session_id: record.session_id,
+    slice_id: record.slice_id,
+    conversation_id: record.conversation_id,
+    dataset_version_id: record.dataset_version_id,
+    routing_reason: validation.routing ? validation.routing.routing_reason || null : null,
+    routing_decision: record.routing_decision,
+    routing_time_seconds: toNumber(validation.time_seconds),
+    submitted_at: record.submitted_at,
+    quality_flags: record.quality_flags
+  };
+  // A routing answer without predictions to judge still gets one row
+  if (predictions.length === 0) {
+    return [{ ...shared, category: null, label: null, model_confidence: null, prediction_source: null, verdict: null }];
+  }
+  return predictions.map(prediction => ({
+    ...shared,
+    category: prediction.category,
+    label: prediction.label,
+    model_confidence: toNumber(prediction.confidence),
+    prediction_source: prediction.source || null,
+    verdict: prediction.verdict
+  }));
+}
+
+// Write text to a stream, waiting for it to drain when its buffer is full
+function writeText(output, text) {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Export output was closed'));
+  }
+  if (output.write(text)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off('drain', onDrain);
+      reject(new Error('Export output was closed'));
+    };
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+module.exports = {
+  EXPORT_BATCH_SIZE,
+  WIDE_COLUMNS,
+  LONG_COLUMNS,
+  ROUTING_COLUMNS,
+  LAYOUTS,
+  csvField,
+  loadGoldAccuracy,
+  eachAnnotationBatch,
+  exportRecord,
+  longRows,
+  routingRows,
+  writeText
+};
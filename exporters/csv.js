@@ -0,0 +1,24 @@
+// CSV export: a header row, then one line per row. Nested values are JSON text,
+// quoted and escaped (RFC 4180) so pandas and R read them back as one field.
+const { csvField, writeText } = require('./common');
+
+function csvValue(column, value) {
+  if (value === null || value === undefined) return '';
+  return csvField(column.type === 'json' ? JSON.stringify(value) : value);
+}
+
+module.exports = {
+  name: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+
+  async open(output, columns) {
+    await writeText(output, `${columns.map(column => csvField(column.name)).join(',')}\n`);
+    return {
+      write: rows => writeText(output, rows.map(row => (
+        `${columns.map(column => csvValue(column, row[column.name])).join(',')}\n`
+      )).join('')),
+      end: () => new Promise(resolve => output.end(resolve))
+    };
+  }
+};
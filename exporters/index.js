@@ -0,0 +1,157 @@
+// Annotation exports for analysis. A format has { name, contentType, extension,
+// open(output, columns) } where open resolves to { write(rows), end() }; the
+// layout (wide: one row per annotation, long: one row per label, routing: one row
+// per judged model prediction) picks the columns.
+// Exports are written to the output stream batch by batch.
+const { toSqlTimestamp } = require('../assignment');
+const { loadLabelCounts, loadAnnotatorProfiles } = require('../annotator-quality');
+const { EXPORT_BATCH_SIZE, LAYOUTS, loadGoldAccuracy, eachAnnotationBatch, exportRecord } = require('./common');
+const csv = require('./csv');
+const jsonl = require('./jsonl');
+const parquet = require('./parquet');
+
+const FORMATS = { csv, jsonl, parquet };
+
+// Raised for export options that cannot be used (unknown format, bad dates)
+class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+function listFormats() {
+  return Object.keys(FORMATS);
+}
+
+function listLayouts() {
+  return Object.keys(LAYOUTS);
+}
+
+function getFormat(name) {
+  if (!FORMATS[name]) {
+    throw new ExportError(`Unknown export format "${name}" (available: ${listFormats().join(', ')})`);
+  }
+  return FORMATS[name];
+}
+
+// A date or timestamp option as a SQL timestamp (UTC). A plain date as `to`
+// covers that whole day.
+function parseTimestamp(name, value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ExportError(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return toSqlTimestamp(date);
+}
+
+// Export options from query-string style values:
+// { format, layout, study, participant (comma separated), dataset_version, from, to, include_preview }
+function parseExportOptions(values = {}) {
+  const format = values.format || 'csv';
+  const layout = values.layout || 'wide';
+  getFormat(format);
+  if (!LAYOUTS[layout]) {
+    throw new ExportError(`Unknown export layout "${layout}" (available: ${listLayouts().join(', ')})`);
+  }
+
+  let datasetVersionId = null;
+  if (values.dataset_version !== undefined && values.dataset_version !== '') {
+    datasetVersionId = Number(values.dataset_version);
+    if (!Number.isInteger(datasetVersionId)) {
+      throw new ExportError('dataset_version must be a dataset version ID');
+    }
+  }
+
+  const participantIds = [].concat(values.participant || [])
+    .flatMap(value => String(value).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  const from = parseTimestamp('from', values.from);
+  const to = parseTimestamp('to', values.to, true);
+  if (from && to && from >= to) {
+    throw new ExportError('from must be before to');
+  }
+
+  return {
+    format,
+    layout,
+    filters: {
+      studyId: values.study ? String(values.study) : null,
+      participantIds,
+      datasetVersionId,
+      from,
+      to,
+      includePreview: values.include_preview === true || values.include_preview === '1' || values.include_preview === 'true'
+    }
+  };
+}
+
+function exportFileName(options) {
+  const suffix = options.layout === 'wide' ? '' : `_${options.layout}`;
+  return `validation_data${suffix}.${getFormat(options.format).extension}`;
+}
+
+// Write the export described by `options` (see parseExportOptions) to `output`
+// and end it. `options.categories` are the study taxonomy's category keys, for the
+// gold and quality columns. Returns { annotations, rows }.
+async function writeExport(conn, options, output) {
+  const format = getFormat(options.format);
+  const layout = LAYOUTS[options.layout];
+  const { studyId, includePreview } = options.filters;
+  const categories = options.categories;
+  // Only the label totals are kept for the whole export; gold accuracy and
+  // quality profiles are loaded for the participants of each batch
+  const labelCounts = await loadLabelCounts(conn, { studyId, includePreview, categories });
+  const writer = await format.open(output, layout.columns);
+
+  let annotations = 0;
+  let rows = 0;
+  await eachAnnotationBatch(conn, options.filters, async batch => {
+    const participantIds = Array.from(new Set(batch.map(row => row.participant_id)));
+    const gold = await loadGoldAccuracy(conn, { studyId, participantIds, categories });
+    const profiles = new Map((await loadAnnotatorProfiles(conn, {
+      studyId,
+      includePreview,
+      categories,
+      participantIds,
+      labelCounts
+    })).map(profile => [profile.participant_id, profile]));
+    const batchRows = batch.flatMap(row => layout.rows(exportRecord(
+      row,
+      gold.get(row.participant_id),
+      profiles.get(row.participant_id)
+    )));
+    await writer.write(batchRows);
+    annotations += batch.length;
+    rows += batchRows.length;
+  });
+  await writer.end();
+  return { annotations, rows };
+}
+
+// Write rows computed elsewhere (e.g. consensus labels) in one of the formats
+async function writeRows(formatName, columns, rows, output) {
+  const writer = await getFormat(formatName).open(output, columns);
+  for (let start = 0; start < rows.length; start += EXPORT_BATCH_SIZE) {
+    await writer.write(rows.slice(start, start + EXPORT_BATCH_SIZE));
+  }
+  await writer.end();
+  return { rows: rows.length };
+}
+
+module.exports = {
+  ExportError,
+  listFormats,
+  listLayouts,
+  getFormat,
+  parseExportOptions,
+  exportFileName,
+  writeExport,
+  writeRows
+};
@@ -0,0 +1,16 @@
+// JSON Lines export: one JSON object per row, nested values kept as JSON
+const { writeText } = require('./common');
+
+module.exports = {
+  name: 'jsonl',
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'jsonl',
+
+  async open(output, columns) {
+    const pick = row => Object.fromEntries(columns.map(column => [column.name, row[column.name] === undefined ? null : row[column.name]]));
+    return {
+      write: rows => writeText(output, rows.map(row => `${JSON.stringify(pick(row))}\n`).join('')),
+      end: () => new Promise(resolve => output.end(resolve))
+    };
+  }
+};
@@ -0,0 +1,51 @@
+// Parquet export. Every column is optional; nested values are stored as JSON
+// text and timestamps as milliseconds (UTC). Rows are flushed per row group.
+const { ParquetSchema, ParquetWriter } = require('parquetjs-lite');
+
+const PARQUET_TYPES = {
+  string: 'UTF8',
+  json: 'UTF8',
+  integer: 'INT64',
+  number: 'DOUBLE',
+  boolean: 'BOOLEAN',
+  timestamp: 'TIMESTAMP_MILLIS'
+};
+
+const ROW_GROUP_SIZE = 1000;
+
+function parquetValue(column, value) {
+  if (value === null || value === undefined) return undefined;
+  if (column.type === 'json') return JSON.stringify(value);
+  if (column.type === 'timestamp') return new Date(value);
+  return value;
+}
+
+module.exports = {
+  name: 'parquet',
+  contentType: 'application/vnd.apache.parquet',
+  extension: 'parquet',
+
+  async open(output, columns) {
+    const schema = new ParquetSchema(Object.fromEntries(columns.map(column => [
+      column.name,
+      { type: PARQUET_TYPES[column.type], optional: true }
+    ])));
+    const writer = await ParquetWriter.openStream(schema, output);
+    writer.setRowGroupSize(ROW_GROUP_SIZE);
+
+    return {
+      write: async rows => {
+        for (const row of rows) {
+          const record = {};
+          columns.forEach(column => {
+            const value = parquetValue(column, row[column.name]);
+            if (value !== undefined) record[column.name] = value;
+          });
+          await writer.appendRow(record);
+        }
+      },
+      // Writes the footer and ends the output stream
+      end: () => writer.close()
+    };
+  }
+};
@@ -0,0 +1,116 @@
+// Gold-label quality control: expert labels from the slice file used as hidden attention checks
+const { INTERACTION_TYPES, CURIOSITY_TYPES } = require('./labels');
+const { buildRatings } = require('./agreement');
+
+// Minimum mean score against gold before a participant is flagged
+const GOLD_ACCURACY_THRESHOLD = parseFloat(process.env.GOLD_ACCURACY_THRESHOLD || '0.5');
+
+// Number of gold slices mixed into each participant's assignment
+const GOLD_SLICES_PER_PARTICIPANT = parseInt(process.env.GOLD_SLICES_PER_PARTICIPANT || '2', 10);
+
+// Split the expert labels of a slice file into the annotation categories.
+// Slice files use names like "diversive_curiosity" for curiosity types; labels
+// outside the annotation interface are kept under `other` but never scored.
+function normalizeGoldLabels(slice) {
+  if (slice.gold_labels) {
+    return slice.gold_labels;
+  }
+
+  const rawTypes = [
+    ...(Array.isArray(slice.interaction_types) ? slice.interaction_types : []),
+    ...(Array.isArray(slice.curiosity_types) ? slice.curiosity_types : [])
+  ].map(label => (typeof label === 'string' ? label : label && label.type)).filter(Boolean);
+
+  if (rawTypes.length === 0) {
+    return null;
+  }
+
+  const gold = { interaction_types: [], curiosity_types: [], other: [] };
+  rawTypes.forEach(label => {
+    const curiosity = label.replace(/_curiosity$/, '');
+    if (INTERACTION_TYPES.includes(label)) {
+      gold.interaction_types.push(label);
+    } else if (CURIOSITY_TYPES.includes(curiosity)) {
+      gold.curiosity_types.push(curiosity);
+    } else {
+      gold.other.push(label);
+    }
+  });
+
+  return gold;
+}
+
+// Stored gold labels ({ category: [label, ...] }), or null when the slice has none
+function parseGold(value) {
+  if (!value) return null;
+  try {
+    const gold = typeof value === 'string' ? JSON.parse(value) : value;
+    return gold && typeof gold === 'object' && !Array.isArray(gold) ? gold : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Jaccard similarity between the submitted and gold label sets over the rating's
+// categories; two empty sets match
+function scoreAgainstGold(rating, gold) {
+  const submitted = new Set();
+  const expected = new Set();
+  Object.keys(rating.labels).forEach(category => {
+    rating.labels[category].forEach((confidence, type) => submitted.add(`${category}:${type}`));
+    (gold[category] || []).forEach(type => expected.add(`${category}:${type}`));
+  });
+
+  if (submitted.size === 0 && expected.size === 0) return 1;
+
+  let intersection = 0;
+  submitted.forEach(label => {
+    if (expected.has(label)) intersection++;
+  });
+  return intersection / (submitted.size + expected.size - intersection);
+}
+
+// Per-participant accuracy against gold for every annotated slice that carries gold
+// labels. `options.categories` are the taxonomy's category keys.
+function computeGoldAccuracy(sliceRows, annotationRows, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : GOLD_ACCURACY_THRESHOLD;
+  const goldBySlice = new Map();
+  sliceRows.forEach(slice => {
+    const gold = parseGold(slice.gold_labels);
+    if (gold) goldBySlice.set(slice.id, gold);
+  });
+
+  const participants = {};
+  buildRatings(annotationRows, options.categories).forEach(rating => {
+    const gold = goldBySlice.get(rating.slice_id);
+    if (!gold) return;
+
+    if (!participants[rating.participant_id]) {
+      participants[rating.participant_id] = { participant_id: rating.participant_id, checks: [] };
+    }
+    const check = { slice_id: rating.slice_id, score: scoreAgainstGold(rating, gold), submitted: {}, gold: {} };
+    Object.keys(rating.labels).forEach(category => {
+      check.submitted[category] = Array.from(rating.labels[category].keys());
+      check.gold[category] = gold[category] || [];
+    });
+    participants[rating.participant_id].checks.push(check);
+  });
+
+  return Object.values(participants).map(participant => {
+    const accuracy = participant.checks.reduce((sum, check) => sum + check.score, 0) / participant.checks.length;
+    return {
+      participant_id: participant.participant_id,
+      gold_checks: participant.checks.length,
+      accuracy,
+      flagged: accuracy < threshold,
+      checks: participant.checks
+    };
+  });
+}
+
+module.exports = {
+  GOLD_ACCURACY_THRESHOLD,
+  GOLD_SLICES_PER_PARTICIPANT,
+  normalizeGoldLabels,
+  computeGoldAccuracy
+};
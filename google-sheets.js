@@ -1,13 +1,35 @@
 // Google Sheets service for saving annotation data
 const { google } = require('googleapis');
+const { toIsoTimestamp } = require('./sinks/common');
+
+// Sheet columns; annotation_id lets a resync tell which annotations are already in the sheet
+const HEADERS = [
+  'participant_id',
+  'slice_id',
+  'timestamp',
+  'interaction_types',
+  'curiosity_types',
+  'annotation_time_seconds',
+  'routing_validation',
+  'annotation_id'
+];
+const SHEET_RANGE = 'Sheet1!A:H';
 
 class GoogleSheetsService {
-  constructor() {
+  // options.client replaces the googleapis Sheets client (e.g. a local fake in tests)
+  constructor(options = {}) {
     this.sheets = null;
-    this.spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    this.spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEET_ID;
+    
+    // Sync statistics for the admin dashboard (since server start)
+    this.syncStats = { saved: 0, failed: 0, recentFailures: [] };
     
-    // Initialize Google Sheets API
-    this.initializeSheets();
+    if (options.client) {
+      this.sheets = options.client;
+    } else {
+      // Initialize Google Sheets API
+      this.initializeSheets();
+    }
   }
   
   async initializeSheets() {
@@ -29,43 +51,100 @@ class GoogleSheetsService {
     }
   }
   
-  async saveAnnotation(annotation) {
-    if (!this.sheets || !this.spreadsheetId) {
-      console.log('Google Sheets not available, skipping save');
-      return false;
-    }
-    
+  // Sheet row for an annotation row from the database (JSON columns as stored)
+  formatRow(annotation) {
+    const asJson = value => (typeof value === 'string' ? value : JSON.stringify(value));
+    return [
+      annotation.participant_id,
+      annotation.slice_id,
+      toIsoTimestamp(annotation.submitted_at),
+      asJson(annotation.interaction_types),
+      asJson(annotation.curiosity_types),
+      annotation.annotation_time_seconds,
+      asJson(annotation.routing_validation),
+      annotation.id
+    ];
+  }
+  
+  // Append annotations to the sheet in one request. Throws on failure so the
+  // outbox worker can retry; callers check isConfigured() first.
+  async appendAnnotations(annotations) {
     try {
-      // Format data for Google Sheets
-      const row = [
-        annotation.participant_id,
-        annotation.slice_id,
-        new Date().toISOString(), // timestamp
-        JSON.stringify(annotation.interaction_types),
-        JSON.stringify(annotation.curiosity_types),
-        annotation.annotation_time_seconds,
-        JSON.stringify(annotation.routing_validation)
-      ];
-      
-      // Append row to sheet
-      const response = await this.sheets.spreadsheets.values.append({
+      await this.sheets.spreadsheets.values.append({
         spreadsheetId: this.spreadsheetId,
-        range: 'Sheet1!A:G', // Adjust range as needed
+        range: SHEET_RANGE,
         valueInputOption: 'RAW',
         resource: {
-          values: [row]
+          values: annotations.map(annotation => this.formatRow(annotation))
         }
       });
-      
-      console.log('Data saved to Google Sheets successfully');
-      return true;
-      
+      this.syncStats.saved += annotations.length;
     } catch (error) {
-      console.error('Error saving to Google Sheets:', error.message);
-      return false;
+      annotations.forEach(annotation => this.recordFailure(annotation, error));
+      throw error;
     }
   }
   
+  // Annotation IDs already present in the sheet
+  async getSyncedAnnotationIds() {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: 'Sheet1!H2:H'
+    });
+    const ids = new Set();
+    (response.data.values || []).forEach(row => {
+      const id = parseInt(row[0], 10);
+      if (!isNaN(id)) ids.add(id);
+    });
+    return ids;
+  }
+  
+  // Replace everything below the header with the given annotations
+  async rewriteAnnotations(annotations) {
+    await this.sheets.spreadsheets.values.clear({
+      spreadsheetId: this.spreadsheetId,
+      range: 'Sheet1!A2:H'
+    });
+    await this.writeHeaders();
+    if (annotations.length > 0) {
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: 'Sheet1!A2',
+        valueInputOption: 'RAW',
+        resource: {
+          values: annotations.map(annotation => this.formatRow(annotation))
+        }
+      });
+    }
+  }
+  
+  // Keep a count and the last few failures for monitoring
+  recordFailure(annotation, error) {
+    this.syncStats.failed++;
+    this.syncStats.recentFailures.unshift({
+      participant_id: annotation.participant_id,
+      slice_id: annotation.slice_id,
+      error: error.message,
+      failed_at: new Date().toISOString()
+    });
+    this.syncStats.recentFailures = this.syncStats.recentFailures.slice(0, 20);
+  }
+  
+  isConfigured() {
+    return Boolean(this.sheets && this.spreadsheetId);
+  }
+  
+  async writeHeaders() {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: 'Sheet1!A1:H1',
+      valueInputOption: 'RAW',
+      resource: {
+        values: [HEADERS]
+      }
+    });
+  }
+  
   async setupHeaders() {
     if (!this.sheets || !this.spreadsheetId) {
       return false;
@@ -75,30 +154,13 @@ class GoogleSheetsService {
       // Check if headers already exist
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: 'Sheet1!A1:G1'
+        range: 'Sheet1!A1:H1'
       });
       
-      // If no data, add headers
-      if (!response.data.values || response.data.values.length === 0) {
-        const headers = [
-          'participant_id',
-          'slice_id', 
-          'timestamp',
-          'interaction_types',
-          'curiosity_types',
-          'annotation_time_seconds',
-          'routing_validation'
-        ];
-        
-        await this.sheets.spreadsheets.values.update({
-          spreadsheetId: this.spreadsheetId,
-          range: 'Sheet1!A1:G1',
-          valueInputOption: 'RAW',
-          resource: {
-            values: [headers]
-          }
-        });
-        
+      // If no data (or the header predates a column), add headers
+      const existing = response.data.values && response.data.values[0];
+      if (!existing || existing.length < HEADERS.length) {
+        await this.writeHeaders();
         console.log('Headers added to Google Sheet');
       }
       
@@ -0,0 +1,105 @@
+// Shared helpers for annotation labels and confidence values
+
+// Label sets shown in the annotation interface
+const INTERACTION_TYPES = ['agreeing', 'disagreeing', 'explaining', 'questioning', 'uncertainty'];
+const CURIOSITY_TYPES = ['diversive', 'specific', 'epistemic', 'social'];
+
+const LABEL_CATEGORIES = ['interaction_types', 'curiosity_types'];
+
+// Same mapping the client uses when submitting annotations
+const CONFIDENCE_MAPPING = {
+  'low': 0.375,     // 37.5% (middle of 25-50%)
+  'medium': 0.625,  // 62.5% (middle of 50-75%)
+  'high': 0.875     // 87.5% (middle of 75-100%)
+};
+
+// Convert categorical confidence to numeric
+function confidenceToNumeric(categorical) {
+  return CONFIDENCE_MAPPING[categorical] || 0.625; // Default to medium
+}
+
+// Parse a stored label column into [{ type, confidence, categorical }]
+function parseLabels(value) {
+  let labels = value;
+  if (typeof value === 'string') {
+    try {
+      labels = JSON.parse(value || '[]');
+    } catch (error) {
+      labels = [];
+    }
+  }
+  if (!Array.isArray(labels)) {
+    return [];
+  }
+
+  return labels
+    .map(label => {
+      if (typeof label === 'string') {
+        return { type: label, confidence: confidenceToNumeric('medium'), categorical: 'medium' };
+      }
+      if (!label || !label.type) {
+        return null;
+      }
+      const categorical = label.categorical || null;
+      const confidence = typeof label.confidence === 'number' ?
+        label.confidence :
+        confidenceToNumeric(categorical);
+      return { type: label.type, confidence, categorical };
+    })
+    .filter(label => label !== null);
+}
+
+// The `labels` column of an annotation row ({ category: [...] }), or null for
+// rows saved before it existed
+function storedLabels(row) {
+  let stored = row.labels;
+  if (typeof stored === 'string') {
+    try {
+      stored = JSON.parse(stored);
+    } catch (error) {
+      stored = null;
+    }
+  }
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : null;
+}
+
+// Labels of an annotation row per category, parsed as by parseLabels. Older rows
+// without a `labels` column fall back to their per-category columns.
+function rowLabels(row, categories) {
+  const byCategory = storedLabels(row);
+  const labels = {};
+  categories.forEach(category => {
+    labels[category] = parseLabels(byCategory ? byCategory[category] : row[category]);
+  });
+  return labels;
+}
+
+// Category keys stored in annotation rows. Labels are saved with every category of
+// the study's taxonomy, so this is the taxonomy's categories (LABEL_CATEGORIES for
+// rows saved before the `labels` column).
+function labelCategories(rows) {
+  const categories = new Set();
+  rows.forEach(row => {
+    const byCategory = storedLabels(row);
+    (byCategory ? Object.keys(byCategory) : LABEL_CATEGORIES).forEach(category => categories.add(category));
+  });
+  return categories.size > 0 ? Array.from(categories) : LABEL_CATEGORIES;
+}
+
+// Known labels of the default taxonomy, per category
+const DEFAULT_LABELS = {
+  interaction_types: INTERACTION_TYPES,
+  curiosity_types: CURIOSITY_TYPES
+};
+
+module.exports = {
+  INTERACTION_TYPES,
+  CURIOSITY_TYPES,
+  LABEL_CATEGORIES,
+  DEFAULT_LABELS,
+  CONFIDENCE_MAPPING,
+  confidenceToNumeric,
+  parseLabels,
+  rowLabels,
+  labelCategories
+};
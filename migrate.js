@@ -0,0 +1,146 @@
+// Versioned schema migrations - runs numbered files from migrations/ in order
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+class Migrator {
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  // All migrations on disk, ordered by version
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) return null;
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          file: path.join(this.directory, file)
+        };
+      })
+      .filter(migration => migration !== null)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${this.db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  async appliedVersions(conn = this.db) {
+    const rows = await conn.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => Number(row.version));
+  }
+
+  // Apply every pending migration, each in its own transaction. Returns the applied migrations.
+  async migrate() {
+    await this.ensureMigrationsTable();
+    const applied = [];
+
+    for (const migration of this.loadMigrations()) {
+      const ran = await this.db.transaction(async tx => {
+        // Another instance may have applied it while we waited for the lock
+        await tx.lock('schema-migrations');
+        const versions = await this.appliedVersions(tx);
+        if (versions.includes(migration.version)) return false;
+
+        console.log(`Applying migration ${migrationLabel(migration)}...`);
+        await require(migration.file).up(tx);
+        await tx.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+        return true;
+      });
+
+      if (ran) applied.push(migration);
+    }
+
+    return applied;
+  }
+
+  // Roll back the most recent `steps` migrations. Returns the rolled back migrations.
+  async rollback(steps = 1) {
+    await this.ensureMigrationsTable();
+    const migrations = this.loadMigrations();
+    const versions = (await this.appliedVersions()).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const version of versions) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+
+      await this.db.transaction(async tx => {
+        await tx.lock('schema-migrations');
+        console.log(`Rolling back migration ${migrationLabel(migration)}...`);
+        await require(migration.file).down(tx);
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  }
+
+  async status() {
+    await this.ensureMigrationsTable();
+    const versions = await this.appliedVersions();
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: versions.includes(migration.version)
+    }));
+  }
+}
+
+// Command line: node migrate.js [up | down [steps] | status]
+async function main() {
+  const Database = require('./database');
+  const db = new Database();
+  const migrator = new Migrator(db);
+  const command = process.argv[2] || 'up';
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Schema is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(process.argv[3] || '1', 10);
+      const rolledBack = await migrator.rollback(steps);
+      console.log(`Rolled back ${rolledBack.length} migrations`);
+    } else if (command === 'status') {
+      (await migrator.status()).forEach(migration => {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${migrationLabel(migration)}`);
+      });
+    } else {
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = Migrator;
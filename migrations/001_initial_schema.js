@@ -0,0 +1,36 @@
+// Initial schema: slices, assignments and annotations.
+// Uses IF NOT EXISTS so databases created before migrations existed keep their data.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS slices (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT,
+      context TEXT,
+      focus_turns TEXT,
+      hybrid_predictions TEXT
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS assignments (
+      participant_id TEXT,
+      slice_id TEXT,
+      assigned_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (participant_id, slice_id)
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS annotations (
+      id ${db.columnType('serial')},
+      participant_id TEXT,
+      slice_id TEXT,
+      interaction_types TEXT,
+      curiosity_types TEXT,
+      routing_validation TEXT,
+      annotation_time_seconds INTEGER,
+      submitted_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down() {
+    // Rolling this back would drop every collected annotation
+    throw new Error('The initial schema cannot be rolled back');
+  }
+};
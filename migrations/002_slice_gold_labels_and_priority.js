@@ -0,0 +1,12 @@
+// Expert gold labels and validation priority for each slice
+module.exports = {
+  async up(db) {
+    await db.addColumn('slices', 'gold_labels', 'TEXT');
+    await db.addColumn('slices', 'validation_priority', db.columnType('real'));
+  },
+
+  async down(db) {
+    await db.dropColumn('slices', 'validation_priority');
+    await db.dropColumn('slices', 'gold_labels');
+  }
+};
@@ -0,0 +1,21 @@
+// Dataset versions for non-destructive slice imports; retired slices are kept, not deleted
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS dataset_versions (
+      id ${db.columnType('serial')},
+      source_file TEXT,
+      content_hash TEXT NOT NULL,
+      slice_count INTEGER,
+      imported_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await db.addColumn('slices', 'dataset_version_id', 'INTEGER');
+    await db.addColumn('slices', 'retired_at', db.columnType('timestamp'));
+  },
+
+  async down(db) {
+    await db.dropColumn('slices', 'retired_at');
+    await db.dropColumn('slices', 'dataset_version_id');
+    await db.run('DROP TABLE IF EXISTS dataset_versions');
+  }
+};
@@ -0,0 +1,16 @@
+// Participant progress through the study: started, training completed, finished
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS participants (
+      participant_id TEXT PRIMARY KEY,
+      started_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      training_completed_at ${db.columnType('timestamp')},
+      completed_at ${db.columnType('timestamp')},
+      last_seen_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS participants');
+  }
+};
@@ -0,0 +1,25 @@
+// Admin sessions and the audit log of admin actions
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS admin_sessions (
+      id ${db.columnType('serial')},
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      expires_at ${db.columnType('timestamp')} NOT NULL
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id ${db.columnType('serial')},
+      actor TEXT,
+      action TEXT NOT NULL,
+      details TEXT,
+      ip TEXT,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS admin_audit_log');
+    await db.run('DROP TABLE IF EXISTS admin_sessions');
+  }
+};
@@ -0,0 +1,20 @@
+// Outbox of annotations waiting to be pushed to Google Sheets
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS sheets_outbox (
+      id ${db.columnType('serial')},
+      annotation_id INTEGER NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      sent_at ${db.columnType('timestamp')}
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sheets_outbox_pending ON sheets_outbox (status, next_attempt_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS sheets_outbox');
+  }
+};
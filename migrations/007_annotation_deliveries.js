@@ -0,0 +1,48 @@
+// Per-sink delivery status, replacing the Sheets-only outbox
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS annotation_deliveries (
+      id ${db.columnType('serial')},
+      annotation_id INTEGER NOT NULL,
+      sink TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      delivered_at ${db.columnType('timestamp')},
+      UNIQUE (annotation_id, sink)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_annotation_deliveries_pending ON annotation_deliveries (sink, status, next_attempt_at)');
+
+    await db.run(`
+      INSERT INTO annotation_deliveries
+        (annotation_id, sink, status, attempts, next_attempt_at, last_error, created_at, delivered_at)
+      SELECT annotation_id, 'google_sheets', CASE WHEN status = 'sent' THEN 'delivered' ELSE status END,
+        attempts, next_attempt_at, last_error, created_at, sent_at
+      FROM sheets_outbox
+    `);
+    await db.run('DROP TABLE IF EXISTS sheets_outbox');
+  },
+
+  async down(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS sheets_outbox (
+      id ${db.columnType('serial')},
+      annotation_id INTEGER NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      sent_at ${db.columnType('timestamp')}
+    )`);
+    await db.run(`
+      INSERT INTO sheets_outbox (annotation_id, status, attempts, next_attempt_at, last_error, created_at, sent_at)
+      SELECT annotation_id, CASE WHEN status = 'delivered' THEN 'sent' ELSE status END,
+        attempts, next_attempt_at, last_error, created_at, delivered_at
+      FROM annotation_deliveries
+      WHERE sink = 'google_sheets'
+    `);
+    await db.run('DROP TABLE IF EXISTS annotation_deliveries');
+  }
+};
@@ -0,0 +1,24 @@
+// Versioned annotation taxonomies; each annotation records the version it was made with
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS taxonomy_versions (
+      id ${db.columnType('serial')},
+      taxonomy_id TEXT NOT NULL,
+      version TEXT NOT NULL,
+      content_hash TEXT NOT NULL,
+      config TEXT NOT NULL,
+      registered_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (taxonomy_id, version)
+    )`);
+
+    await db.addColumn('annotations', 'taxonomy_version_id', 'INTEGER');
+    // Selections for every taxonomy category, keyed by category
+    await db.addColumn('annotations', 'labels', 'TEXT');
+  },
+
+  async down(db) {
+    await db.dropColumn('annotations', 'labels');
+    await db.dropColumn('annotations', 'taxonomy_version_id');
+    await db.run('DROP TABLE IF EXISTS taxonomy_versions');
+  }
+};
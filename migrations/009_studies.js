@@ -0,0 +1,78 @@
+// Studies: each owns its slices, quota, taxonomy, training set, completion code and status.
+// Existing data moves into the 'default' study.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS studies (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      slices_per_participant INTEGER NOT NULL DEFAULT 15,
+      gold_slices_per_participant INTEGER,
+      taxonomy_file TEXT,
+      training_file TEXT,
+      completion_code TEXT,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      closed_at ${db.columnType('timestamp')}
+    )`);
+    await db.run(`
+      INSERT INTO studies (id, name, slices_per_participant, completion_code)
+      VALUES ('default', 'Default study', 15, 'C1HAZGAN')
+      ON CONFLICT (id) DO NOTHING
+    `);
+
+    for (const table of ['slices', 'dataset_versions', 'assignments', 'annotations']) {
+      await db.addColumn(table, 'study_id', 'TEXT');
+      await db.run(`UPDATE ${table} SET study_id = 'default' WHERE study_id IS NULL`);
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_slices_study ON slices (study_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_annotations_study ON annotations (study_id)');
+
+    // A participant can take part in several studies, so progress is kept per study
+    await db.run(`CREATE TABLE participants_by_study (
+      participant_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      started_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      training_completed_at ${db.columnType('timestamp')},
+      completed_at ${db.columnType('timestamp')},
+      last_seen_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (participant_id, study_id)
+    )`);
+    await db.run(`
+      INSERT INTO participants_by_study
+        (participant_id, study_id, started_at, training_completed_at, completed_at, last_seen_at)
+      SELECT participant_id, 'default', started_at, training_completed_at, completed_at, last_seen_at
+      FROM participants
+    `);
+    await db.run('DROP TABLE participants');
+    await db.run('ALTER TABLE participants_by_study RENAME TO participants');
+  },
+
+  async down(db) {
+    const others = await db.get("SELECT COUNT(*) as count FROM studies WHERE id <> 'default'");
+    if (others.count > 0) {
+      throw new Error('Studies other than "default" exist; their data would be merged into one study');
+    }
+
+    await db.run(`CREATE TABLE participants_single (
+      participant_id TEXT PRIMARY KEY,
+      started_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      training_completed_at ${db.columnType('timestamp')},
+      completed_at ${db.columnType('timestamp')},
+      last_seen_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run(`
+      INSERT INTO participants_single (participant_id, started_at, training_completed_at, completed_at, last_seen_at)
+      SELECT participant_id, started_at, training_completed_at, completed_at, last_seen_at
+      FROM participants
+    `);
+    await db.run('DROP TABLE participants');
+    await db.run('ALTER TABLE participants_single RENAME TO participants');
+
+    await db.run('DROP INDEX IF EXISTS idx_annotations_study');
+    await db.run('DROP INDEX IF EXISTS idx_slices_study');
+    for (const table of ['annotations', 'assignments', 'dataset_versions', 'slices']) {
+      await db.dropColumn(table, 'study_id');
+    }
+    await db.run('DROP TABLE IF EXISTS studies');
+  }
+};
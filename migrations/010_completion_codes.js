@@ -0,0 +1,14 @@
+// Completion codes issued by the server, one per participant and study
+module.exports = {
+  async up(db) {
+    await db.addColumn('participants', 'completion_code', 'TEXT');
+    await db.addColumn('participants', 'completion_code_issued_at', db.columnType('timestamp'));
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_participants_completion_code ON participants (completion_code)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_participants_completion_code');
+    await db.dropColumn('participants', 'completion_code_issued_at');
+    await db.dropColumn('participants', 'completion_code');
+  }
+};
@@ -0,0 +1,29 @@
+// Prolific sessions (SESSION_ID) with start/end times and outcome; assignments of
+// returned or timed-out sessions are released instead of deleted
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS sessions (
+      session_id TEXT PRIMARY KEY,
+      participant_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      preview INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active',
+      started_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      ended_at ${db.columnType('timestamp')}
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_participant ON sessions (participant_id, study_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions (status, last_seen_at)');
+
+    await db.addColumn('assignments', 'released_at', db.columnType('timestamp'));
+    await db.addColumn('annotations', 'session_id', 'TEXT');
+  },
+
+  async down(db) {
+    await db.dropColumn('annotations', 'session_id');
+    await db.dropColumn('assignments', 'released_at');
+    await db.run('DROP INDEX IF EXISTS idx_sessions_status');
+    await db.run('DROP INDEX IF EXISTS idx_sessions_participant');
+    await db.run('DROP TABLE IF EXISTS sessions');
+  }
+};
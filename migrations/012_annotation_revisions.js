@@ -0,0 +1,77 @@
+// One final annotation per participant and slice. Earlier submissions of the same
+// slice move to annotation_revisions; existing duplicates keep the latest row as final.
+const COPIED_COLUMNS = [
+  'participant_id',
+  'slice_id',
+  'study_id',
+  'session_id',
+  'interaction_types',
+  'curiosity_types',
+  'labels',
+  'taxonomy_version_id',
+  'routing_validation',
+  'annotation_time_seconds',
+  'submitted_at'
+];
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS annotation_revisions (
+      id ${db.columnType('serial')},
+      annotation_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      participant_id TEXT,
+      slice_id TEXT,
+      study_id TEXT,
+      session_id TEXT,
+      interaction_types TEXT,
+      curiosity_types TEXT,
+      labels TEXT,
+      taxonomy_version_id INTEGER,
+      routing_validation TEXT,
+      annotation_time_seconds INTEGER,
+      submitted_at ${db.columnType('timestamp')},
+      superseded_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (annotation_id, revision)
+    )`);
+    await db.addColumn('annotations', 'revision', 'INTEGER NOT NULL DEFAULT 1');
+
+    // Fold duplicates into the latest row of each participant/slice pair
+    const rows = await db.query(`SELECT id, ${COPIED_COLUMNS.join(', ')} FROM annotations ORDER BY id`);
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = JSON.stringify([row.participant_id, row.slice_id]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+      const final = group[group.length - 1];
+      const earlier = group.slice(0, -1);
+      for (const [index, row] of earlier.entries()) {
+        await db.run(`
+          INSERT INTO annotation_revisions (annotation_id, revision, ${COPIED_COLUMNS.join(', ')}, superseded_at)
+          VALUES (?, ?, ${COPIED_COLUMNS.map(() => '?').join(', ')}, ?)
+        `, [final.id, index + 1, ...COPIED_COLUMNS.map(column => row[column]), final.submitted_at]);
+        // Delivered copies stay wherever the sinks put them; pending ones are dropped
+        await db.run('DELETE FROM annotation_deliveries WHERE annotation_id = ? AND status <> \'delivered\'', [row.id]);
+        await db.run('DELETE FROM annotations WHERE id = ?', [row.id]);
+      }
+      await db.run('UPDATE annotations SET revision = ? WHERE id = ?', [group.length, final.id]);
+    }
+
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_annotations_participant_slice ON annotations (participant_id, slice_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_annotations_participant_slice');
+    // Earlier revisions become separate annotation rows again
+    await db.run(`
+      INSERT INTO annotations (${COPIED_COLUMNS.join(', ')})
+      SELECT ${COPIED_COLUMNS.join(', ')} FROM annotation_revisions ORDER BY annotation_id, revision
+    `);
+    await db.dropColumn('annotations', 'revision');
+    await db.run('DROP TABLE IF EXISTS annotation_revisions');
+  }
+};
@@ -0,0 +1,15 @@
+// Idempotency keys of accepted annotation submissions, so client retries are not saved twice
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS annotation_submissions (
+      idempotency_key TEXT PRIMARY KEY,
+      annotation_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS annotation_submissions');
+  }
+};
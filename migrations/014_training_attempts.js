@@ -0,0 +1,22 @@
+// Scored training attempts: every try a participant makes at the training items
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS training_attempts (
+      id ${db.columnType('serial')},
+      participant_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      session_id TEXT,
+      training_id TEXT,
+      attempt INTEGER NOT NULL,
+      score ${db.columnType('real')} NOT NULL,
+      passed INTEGER NOT NULL,
+      responses TEXT NOT NULL,
+      submitted_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (participant_id, study_id, attempt)
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS training_attempts');
+  }
+};
@@ -0,0 +1,25 @@
+// The dataset version of the slice an annotation was made on, so exports can be
+// limited to one import. Existing annotations take their slice's current version.
+module.exports = {
+  async up(db) {
+    await db.addColumn('annotations', 'dataset_version_id', 'INTEGER');
+    await db.addColumn('annotation_revisions', 'dataset_version_id', 'INTEGER');
+    await db.run(`
+      UPDATE annotations SET dataset_version_id = (
+        SELECT s.dataset_version_id FROM slices s WHERE s.id = annotations.slice_id
+      )
+    `);
+    await db.run(`
+      UPDATE annotation_revisions SET dataset_version_id = (
+        SELECT a.dataset_version_id FROM annotations a WHERE a.id = annotation_revisions.annotation_id
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_annotations_dataset_version ON annotations (dataset_version_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_annotations_dataset_version');
+    await db.dropColumn('annotation_revisions', 'dataset_version_id');
+    await db.dropColumn('annotations', 'dataset_version_id');
+  }
+};
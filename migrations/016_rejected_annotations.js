@@ -0,0 +1,23 @@
+// Annotation submissions the server refused, kept for review
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS rejected_annotations (
+      id ${db.columnType('serial')},
+      participant_id TEXT,
+      slice_id TEXT,
+      study_id TEXT,
+      session_id TEXT,
+      status INTEGER NOT NULL,
+      error TEXT NOT NULL,
+      details TEXT,
+      payload TEXT,
+      received_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_rejected_annotations_study ON rejected_annotations (study_id, received_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_rejected_annotations_study');
+    await db.run('DROP TABLE IF EXISTS rejected_annotations');
+  }
+};
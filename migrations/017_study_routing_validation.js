@@ -0,0 +1,10 @@
+// Per-study switch for the routing validation step after each blind annotation
+module.exports = {
+  async up(db) {
+    await db.addColumn('studies', 'routing_validation', 'INTEGER NOT NULL DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.dropColumn('studies', 'routing_validation');
+  }
+};
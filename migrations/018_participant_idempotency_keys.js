@@ -0,0 +1,44 @@
+// Idempotency keys belong to the participant who sent them, so a key reused by
+// another participant never returns someone else's annotation
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE annotation_submissions_new (
+      participant_id TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      annotation_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (participant_id, idempotency_key)
+    )`);
+    await db.run(`
+      INSERT INTO annotation_submissions_new (participant_id, idempotency_key, annotation_id, revision, created_at)
+      SELECT a.participant_id, s.idempotency_key, s.annotation_id, s.revision, s.created_at
+      FROM annotation_submissions s
+      JOIN annotations a ON a.id = s.annotation_id
+    `);
+    await db.run('DROP TABLE annotation_submissions');
+    await db.run('ALTER TABLE annotation_submissions_new RENAME TO annotation_submissions');
+  },
+
+  async down(db) {
+    await db.run(`CREATE TABLE annotation_submissions_old (
+      idempotency_key TEXT PRIMARY KEY,
+      annotation_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      created_at ${db.columnType('timestamp')} DEFAULT CURRENT_TIMESTAMP
+    )`);
+    // Keys that more than one participant used keep the earliest submission
+    await db.run(`
+      INSERT INTO annotation_submissions_old (idempotency_key, annotation_id, revision, created_at)
+      SELECT s.idempotency_key, s.annotation_id, s.revision, s.created_at
+      FROM annotation_submissions s
+      WHERE NOT EXISTS (
+        SELECT 1 FROM annotation_submissions e
+        WHERE e.idempotency_key = s.idempotency_key
+        AND (e.created_at < s.created_at OR (e.created_at = s.created_at AND e.participant_id < s.participant_id))
+      )
+    `);
+    await db.run('DROP TABLE annotation_submissions');
+    await db.run('ALTER TABLE annotation_submissions_old RENAME TO annotation_submissions');
+  }
+};
@@ -0,0 +1,210 @@
+// Model-vs-human validation of the hybrid predictions stored with each slice
+const { labelCategories } = require('./labels');
+const { buildRatings } = require('./agreement');
+const { summarizeRoutingValidation } = require('./routing-validation');
+
+const CALIBRATION_BINS = 10;
+
+function parsePredictions(value) {
+  if (!value) return {};
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Fraction of raters selecting each label on a slice, per category
+function humanRates(ratings, categories) {
+  const rates = {};
+  categories.forEach(category => {
+    const counts = new Map();
+    ratings.forEach(rating => {
+      rating.labels[category].forEach((confidence, type) => {
+        counts.set(type, (counts.get(type) || 0) + 1);
+      });
+    });
+    rates[category] = new Map();
+    counts.forEach((count, type) => rates[category].set(type, count / ratings.length));
+  });
+  return rates;
+}
+
+function emptyCounts() {
+  return { tp: 0, fp: 0, fn: 0 };
+}
+
+function scoreCounts(counts) {
+  const precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : null;
+  const recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : null;
+  const f1 = precision !== null && recall !== null && precision + recall > 0 ?
+    2 * precision * recall / (precision + recall) :
+    null;
+  return { ...counts, precision, recall, f1 };
+}
+
+function emptyCalibration() {
+  return Array.from({ length: CALIBRATION_BINS }, () => ({ count: 0, confidence: 0, observed: 0 }));
+}
+
+function addToCalibration(bins, confidence, observed) {
+  const clamped = Math.min(Math.max(confidence, 0), 1);
+  const index = Math.min(Math.floor(clamped * CALIBRATION_BINS), CALIBRATION_BINS - 1);
+  bins[index].count++;
+  bins[index].confidence += clamped;
+  bins[index].observed += observed;
+}
+
+// Mean predicted confidence vs. mean human agreement rate per bin, plus expected calibration error
+function summarizeCalibration(bins) {
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  let ece = 0;
+  const summary = bins.map((bin, index) => {
+    const meanConfidence = bin.count > 0 ? bin.confidence / bin.count : null;
+    const observedRate = bin.count > 0 ? bin.observed / bin.count : null;
+    if (bin.count > 0) {
+      ece += (bin.count / total) * Math.abs(meanConfidence - observedRate);
+    }
+    return {
+      bin_start: index / CALIBRATION_BINS,
+      bin_end: (index + 1) / CALIBRATION_BINS,
+      count: bin.count,
+      mean_confidence: meanConfidence,
+      observed_agreement: observedRate
+    };
+  });
+  return { bins: summary, expected_calibration_error: total > 0 ? ece : null };
+}
+
+function ensureGroup(groups, key, withCounts) {
+  if (!groups[key]) {
+    groups[key] = {
+      slices: 0,
+      predictions: 0,
+      counts: withCounts ? emptyCounts() : null,
+      precisionCounts: emptyCounts(),
+      calibration: emptyCalibration()
+    };
+  }
+  return groups[key];
+}
+
+// Score hybrid predictions against the human majority label of each slice.
+// `sliceRows` are rows of the slices table; `annotationRows` are annotation rows.
+// Participants' own verdicts on the predictions (routing_validation) are summarized
+// separately, since they judge the model after seeing it rather than blind.
+// `options.categories` are the taxonomy's category keys.
+function validatePredictions(sliceRows, annotationRows, options = {}) {
+  const minRaters = Math.max(options.minRaters || 1, 1);
+  const categories = options.categories || labelCategories(annotationRows);
+  const ratingsBySlice = new Map();
+  buildRatings(annotationRows, categories).forEach(rating => {
+    if (!ratingsBySlice.has(rating.slice_id)) ratingsBySlice.set(rating.slice_id, []);
+    ratingsBySlice.get(rating.slice_id).push(rating);
+  });
+
+  const perType = {};
+  categories.forEach(category => { perType[category] = {}; });
+  const overall = emptyCounts();
+  const calibration = emptyCalibration();
+  const byRoutingReason = {};
+  const bySource = {};
+  let slicesScored = 0;
+
+  sliceRows.forEach(slice => {
+    const ratings = ratingsBySlice.get(slice.id) || [];
+    if (ratings.length < minRaters) return;
+
+    const predictions = parsePredictions(slice.hybrid_predictions);
+    const rates = humanRates(ratings, categories);
+    const routingReason = predictions.routing_reason || 'unknown';
+    const routingGroup = ensureGroup(byRoutingReason, routingReason, true);
+    routingGroup.slices++;
+    slicesScored++;
+
+    categories.forEach(category => {
+      const predicted = new Map();
+      (Array.isArray(predictions[category]) ? predictions[category] : []).forEach(prediction => {
+        if (prediction && prediction.type) predicted.set(prediction.type, prediction);
+      });
+
+      const types = new Set([...predicted.keys(), ...rates[category].keys()]);
+      types.forEach(type => {
+        const rate = rates[category].get(type) || 0;
+        const isHuman = rate > 0.5;
+        const prediction = predicted.get(type);
+
+        let outcome = null;
+        if (prediction && isHuman) outcome = 'tp';
+        else if (prediction) outcome = 'fp';
+        else if (isHuman) outcome = 'fn';
+        if (!outcome) return;
+
+        if (!perType[category][type]) perType[category][type] = emptyCounts();
+        perType[category][type][outcome]++;
+        overall[outcome]++;
+        routingGroup.counts[outcome]++;
+
+        if (!prediction) return;
+
+        // Recall has no source for missed labels, so sources only get precision and calibration
+        const sourceGroup = ensureGroup(bySource, prediction.source || 'unknown', false);
+        sourceGroup.predictions++;
+        sourceGroup.precisionCounts[outcome]++;
+        routingGroup.predictions++;
+
+        if (typeof prediction.confidence === 'number') {
+          addToCalibration(calibration, prediction.confidence, rate);
+          addToCalibration(routingGroup.calibration, prediction.confidence, rate);
+          addToCalibration(sourceGroup.calibration, prediction.confidence, rate);
+        }
+      });
+    });
+  });
+
+  const perTypeScores = {};
+  categories.forEach(category => {
+    perTypeScores[category] = {};
+    Object.keys(perType[category]).sort().forEach(type => {
+      perTypeScores[category][type] = scoreCounts(perType[category][type]);
+    });
+  });
+
+  const routingScores = {};
+  Object.keys(byRoutingReason).forEach(reason => {
+    const group = byRoutingReason[reason];
+    routingScores[reason] = {
+      slices: group.slices,
+      predictions: group.predictions,
+      ...scoreCounts(group.counts),
+      calibration: summarizeCalibration(group.calibration)
+    };
+  });
+
+  const sourceScores = {};
+  Object.keys(bySource).forEach(source => {
+    const group = bySource[source];
+    const scores = scoreCounts(group.precisionCounts);
+    sourceScores[source] = {
+      predictions: group.predictions,
+      tp: scores.tp,
+      fp: scores.fp,
+      precision: scores.precision,
+      calibration: summarizeCalibration(group.calibration)
+    };
+  });
+
+  return {
+    slices_scored: slicesScored,
+    min_raters: minRaters,
+    overall: scoreCounts(overall),
+    per_type: perTypeScores,
+    calibration: summarizeCalibration(calibration),
+    by_routing_reason: routingScores,
+    by_source: sourceScores,
+    routing_validation: summarizeRoutingValidation(annotationRows)
+  };
+}
+
+module.exports = { validatePredictions };
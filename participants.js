@@ -0,0 +1,148 @@
+// Participant progress tracking (started, training completed, finished), per study
+
+// Create the participant row on first contact and refresh last_seen_at afterwards
+async function touchParticipant(conn, participantId, studyId) {
+  await conn.run(`
+    INSERT INTO participants (participant_id, study_id) VALUES (?, ?)
+    ON CONFLICT (participant_id, study_id) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP
+  `, [participantId, studyId]);
+}
+
+async function recordStart(conn, participantId, studyId) {
+  await touchParticipant(conn, participantId, studyId);
+}
+
+async function recordTrainingComplete(conn, participantId, studyId) {
+  await touchParticipant(conn, participantId, studyId);
+  await conn.run(`
+    UPDATE participants SET training_completed_at = CURRENT_TIMESTAMP
+    WHERE participant_id = ? AND study_id = ? AND training_completed_at IS NULL
+  `, [participantId, studyId]);
+}
+
+// Assigned and annotated slice counts for a participant in a study
+async function getProgress(conn, participantId, studyId) {
+  const row = await conn.get(`
+    SELECT
+      COUNT(*) as assigned,
+      SUM(CASE WHEN EXISTS (
+        SELECT 1 FROM annotations a
+        WHERE a.participant_id = ass.participant_id AND a.slice_id = ass.slice_id
+      ) THEN 1 ELSE 0 END) as annotated
+    FROM assignments ass
+    WHERE ass.participant_id = ? AND ass.study_id = ?
+  `, [participantId, studyId]);
+  return { assigned: Number(row.assigned || 0), annotated: Number(row.annotated || 0) };
+}
+
+// Called after each annotation: refreshes activity and marks the participant
+// completed once every assigned slice has an annotation. Returns the progress.
+async function recordAnnotation(conn, participantId, studyId) {
+  await touchParticipant(conn, participantId, studyId);
+  const progress = await getProgress(conn, participantId, studyId);
+  if (progress.assigned > 0 && progress.annotated >= progress.assigned) {
+    await conn.run(`
+      UPDATE participants SET completed_at = CURRENT_TIMESTAMP
+      WHERE participant_id = ? AND study_id = ? AND completed_at IS NULL
+    `, [participantId, studyId]);
+  }
+  return progress;
+}
+
+// Store a scored training attempt (see scoreTrainingAttempt) and mark training
+// completed when it passed. Run inside a transaction; returns the attempt number,
+// or null when the participant has already used `maxAttempts` attempts.
+async function recordTrainingAttempt(tx, { participantId, studyId, sessionId, trainingId, result, maxAttempts = Infinity }) {
+  await tx.lock(`training-attempt-${studyId}-${participantId}`);
+  await touchParticipant(tx, participantId, studyId);
+  const previous = await tx.get(
+    'SELECT MAX(attempt) as attempt FROM training_attempts WHERE participant_id = ? AND study_id = ?',
+    [participantId, studyId]
+  );
+  const attempt = Number((previous && previous.attempt) || 0) + 1;
+  if (attempt > maxAttempts) {
+    return null;
+  }
+  await tx.run(`
+    INSERT INTO training_attempts (participant_id, study_id, session_id, training_id, attempt, score, passed, responses)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    participantId,
+    studyId,
+    sessionId,
+    trainingId,
+    attempt,
+    result.score,
+    result.passed ? 1 : 0,
+    JSON.stringify(result.items.map(item => ({ item_id: item.item_id, score: item.score, labels: item.labels })))
+  ]);
+  if (result.passed) {
+    await recordTrainingComplete(tx, participantId, studyId);
+  }
+  return attempt;
+}
+
+// Training attempts per participant of a study: attempt count, first and last
+// score, whether any attempt passed and how many slices they annotated since
+async function trainingSummary(conn, studyId) {
+  const attempts = await conn.query(`
+    SELECT participant_id, attempt, score, passed
+    FROM training_attempts
+    WHERE study_id = ?
+    ORDER BY participant_id, attempt
+  `, [studyId]);
+  const annotated = await conn.query(`
+    SELECT participant_id, COUNT(*) as count
+    FROM annotations
+    WHERE study_id = ?
+    GROUP BY participant_id
+  `, [studyId]);
+  const annotatedByParticipant = new Map(annotated.map(row => [row.participant_id, Number(row.count)]));
+
+  const summaries = new Map();
+  attempts.forEach(row => {
+    if (!summaries.has(row.participant_id)) {
+      summaries.set(row.participant_id, {
+        participant_id: row.participant_id,
+        attempts: 0,
+        first_score: Number(row.score),
+        final_score: null,
+        passed: false,
+        annotated: annotatedByParticipant.get(row.participant_id) || 0
+      });
+    }
+    const summary = summaries.get(row.participant_id);
+    summary.attempts += 1;
+    summary.final_score = Number(row.score);
+    summary.passed = summary.passed || Boolean(Number(row.passed));
+  });
+  return [...summaries.values()];
+}
+
+// Where a participant is in the study, for restoring the page after a refresh:
+// { training_completed, assigned, annotated, finished, completion_code_issued }
+async function getParticipantState(conn, participantId, studyId) {
+  const participant = await conn.get(
+    'SELECT training_completed_at, completion_code FROM participants WHERE participant_id = ? AND study_id = ?',
+    [participantId, studyId]
+  );
+  const progress = await getProgress(conn, participantId, studyId);
+  return {
+    // Participants with assignments got past training even if the event was lost
+    training_completed: Boolean(participant && participant.training_completed_at) || progress.assigned > 0,
+    ...progress,
+    finished: progress.assigned > 0 && progress.annotated >= progress.assigned,
+    completion_code_issued: Boolean(participant && participant.completion_code)
+  };
+}
+
+module.exports = {
+  touchParticipant,
+  recordStart,
+  recordTrainingComplete,
+  recordAnnotation,
+  getProgress,
+  getParticipantState,
+  recordTrainingAttempt,
+  trainingSummary
+};
@@ -0,0 +1,187 @@
+// Routing validation: after their blind annotation, participants in studies with
+// routing_validation enabled see the model's predicted labels for the slice and
+// judge each one, then say how the hybrid system should route slices like it.
+// Stored in annotations.routing_validation as
+//   {
+//     predictions: [{ category, label, confidence, source, verdict }],
+//     routing: { routing_reason, decision },
+//     time_seconds
+//   }
+// or {} when the questions were not shown. The server fills in confidence,
+// source and routing_reason from the slice's hybrid_predictions.
+const { LABEL_CATEGORIES } = require('./labels');
+const { parseJson } = require('./sinks/common');
+
+// Whether a predicted label applies to the slice
+const ROUTING_VERDICTS = ['correct', 'incorrect', 'unsure'];
+
+// automatic: the model's labels can be used as they are; human_review: the slice
+// needs human annotation
+const ROUTING_DECISIONS = ['automatic', 'human_review', 'unsure'];
+
+// Shape of the submitted responses (before normalization)
+const routingValidationSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    predictions: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['category', 'label', 'verdict'],
+        additionalProperties: false,
+        properties: {
+          category: { type: 'string', minLength: 1, maxLength: 100 },
+          label: { type: 'string', minLength: 1, maxLength: 100 },
+          verdict: { enum: ROUTING_VERDICTS }
+        }
+      }
+    },
+    routing: {
+      type: 'object',
+      required: ['decision'],
+      additionalProperties: false,
+      properties: {
+        decision: { enum: ROUTING_DECISIONS }
+      }
+    },
+    time_seconds: { type: 'number', minimum: 0 }
+  }
+};
+
+// Predicted labels of a slice as [{ category, label, confidence, source }], for the
+// taxonomy's `categories`
+function slicePredictions(hybridPredictions, categories = LABEL_CATEGORIES) {
+  const predictions = parseJson(hybridPredictions, null) || {};
+  const result = [];
+  categories.forEach(category => {
+    (Array.isArray(predictions[category]) ? predictions[category] : []).forEach(prediction => {
+      if (!prediction || !prediction.type) return;
+      result.push({
+        category,
+        label: prediction.type,
+        confidence: typeof prediction.confidence === 'number' ? prediction.confidence : null,
+        source: prediction.source || null
+      });
+    });
+  });
+  return result;
+}
+
+// Check schema-valid responses against the slice's predictions and add what the
+// server knows. Returns { routingValidation, errors } with errors as [{ path, message }].
+function normalizeRoutingValidation(value, hybridPredictions, categories = LABEL_CATEGORIES) {
+  if (!value || (!value.predictions && !value.routing)) {
+    return { routingValidation: {}, errors: [] };
+  }
+
+  const predicted = slicePredictions(hybridPredictions, categories);
+  const errors = [];
+  const seen = new Set();
+  const predictions = [];
+  (value.predictions || []).forEach((response, index) => {
+    const key = `${response.category}:${response.label}`;
+    const prediction = predicted.find(p => p.category === response.category && p.label === response.label);
+    if (!prediction) {
+      errors.push({ path: `/routing_validation/predictions/${index}`, message: `"${key}" is not a prediction for this slice` });
+      return;
+    }
+    if (seen.has(key)) {
+      errors.push({ path: `/routing_validation/predictions/${index}`, message: `duplicate response for "${key}"` });
+      return;
+    }
+    seen.add(key);
+    predictions.push({ ...prediction, verdict: response.verdict });
+  });
+
+  const routingValidation = {
+    predictions,
+    routing: value.routing ? {
+      routing_reason: (parseJson(hybridPredictions, null) || {}).routing_reason || null,
+      decision: value.routing.decision
+    } : null,
+    time_seconds: value.time_seconds === undefined ? null : value.time_seconds
+  };
+  return { routingValidation, errors };
+}
+
+function emptyVerdicts() {
+  return { correct: 0, incorrect: 0, unsure: 0 };
+}
+
+// Share of judged predictions participants called correct ("unsure" left out)
+function withPrecision(counts) {
+  const judged = counts.correct + counts.incorrect;
+  return { ...counts, precision: judged > 0 ? counts.correct / judged : null };
+}
+
+// Participants' verdicts on the model's predictions and routing decisions, from
+// annotation rows with a routing_validation column
+function summarizeRoutingValidation(annotationRows) {
+  const overall = emptyVerdicts();
+  const perLabel = {};
+  const byReason = {};
+  let responses = 0;
+
+  annotationRows.forEach(row => {
+    const value = parseJson(row.routing_validation, null) || {};
+    if (!Array.isArray(value.predictions) && !value.routing) return;
+    responses++;
+
+    const reason = (value.routing && value.routing.routing_reason) || 'unknown';
+    if (!byReason[reason]) {
+      byReason[reason] = {
+        responses: 0,
+        decisions: Object.fromEntries(ROUTING_DECISIONS.map(decision => [decision, 0])),
+        verdicts: emptyVerdicts()
+      };
+    }
+    const group = byReason[reason];
+    group.responses++;
+    if (value.routing && group.decisions[value.routing.decision] !== undefined) {
+      group.decisions[value.routing.decision]++;
+    }
+
+    (value.predictions || []).forEach(prediction => {
+      if (!ROUTING_VERDICTS.includes(prediction.verdict)) return;
+      if (!perLabel[prediction.category]) perLabel[prediction.category] = {};
+      if (!perLabel[prediction.category][prediction.label]) perLabel[prediction.category][prediction.label] = emptyVerdicts();
+      perLabel[prediction.category][prediction.label][prediction.verdict]++;
+      group.verdicts[prediction.verdict]++;
+      overall[prediction.verdict]++;
+    });
+  });
+
+  const perLabelScores = {};
+  Object.keys(perLabel).forEach(category => {
+    perLabelScores[category] = {};
+    Object.keys(perLabel[category]).sort().forEach(label => {
+      perLabelScores[category][label] = withPrecision(perLabel[category][label]);
+    });
+  });
+  const reasonScores = {};
+  Object.keys(byReason).forEach(reason => {
+    reasonScores[reason] = {
+      responses: byReason[reason].responses,
+      decisions: byReason[reason].decisions,
+      ...withPrecision(byReason[reason].verdicts)
+    };
+  });
+
+  return {
+    responses,
+    overall: withPrecision(overall),
+    per_label: perLabelScores,
+    by_routing_reason: reasonScores
+  };
+}
+
+module.exports = {
+  ROUTING_VERDICTS,
+  ROUTING_DECISIONS,
+  routingValidationSchema,
+  slicePredictions,
+  normalizeRoutingValidation,
+  summarizeRoutingValidation
+};
@@ -4,81 +4,228 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const Database = require('./database');
 const GoogleSheetsService = require('./google-sheets');
+const { computeAgreement } = require('./agreement');
+const { validatePredictions } = require('./model-validation');
+const { AssignmentEngine } = require('./assignment');
+const { GOLD_ACCURACY_THRESHOLD, computeGoldAccuracy } = require('./gold-standard');
+const { buildDashboard } = require('./dashboard');
+const { AuthService, corsOptions } = require('./auth');
+const {
+  recordStart,
+  recordAnnotation,
+  getParticipantState,
+  recordTrainingAttempt,
+  trainingSummary
+} = require('./participants');
+const {
+  DEFAULT_TRAINING_FILE,
+  loadTrainingSet,
+  checkTrainingSet,
+  maxAttempts,
+  scoreTrainingAttempt,
+  trainingFeedback
+} = require('./training');
+const { NOT_PREVIEW, submitAnnotation, getRevisions } = require('./annotations');
+const { issueCompletionCode, findCompletionCode, completionRecommendations } = require('./completion');
+const {
+  SessionError,
+  touchSession,
+  completeSession,
+  expireSessions,
+  returnSessions,
+  prolificSubmissionsCsv
+} = require('./sessions');
+const { DeliveryWorker, enqueueAnnotation } = require('./delivery-outbox');
+const { createSinks } = require('./sinks');
+const { ExportError, getFormat, parseExportOptions, exportFileName, writeExport, writeRows } = require('./exporters');
+const {
+  validateAnnotationPayload,
+  isAssigned,
+  checkAnnotationTime,
+  logRejectedAnnotation,
+  getRejectedAnnotations
+} = require('./annotation-validation');
+const { normalizeRoutingValidation } = require('./routing-validation');
+const { QUALITY_THRESHOLDS, MIN_PROFILE_ANNOTATIONS, loadAnnotatorProfiles } = require('./annotator-quality');
+const { CONSENSUS_STRATEGIES, CONSENSUS_COLUMNS, loadConsensus, consensusRows } = require('./consensus');
+const { TaxonomyService, TaxonomyError, normalizeLabels } = require('./taxonomy');
+const {
+  DEFAULT_STUDY_ID,
+  validateStudyInput,
+  getStudy,
+  listStudies,
+  createStudy,
+  updateStudy,
+  assignmentQuota,
+  publicStudyConfig
+} = require('./studies');
 const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Database setup (for slice loading and assignments)
+const db = new Database();
+
+// Roles: admin (token or password session) and participant
+const auth = new AuthService(db);
+const { requireAdmin } = auth;
+
 // Middleware
-app.use(cors());
+// Cross-origin requests only from CORS_ORIGINS; the study pages are same-origin
+app.use(cors(corsOptions()));
 app.use(bodyParser.json());
 app.use(express.static('public'));
+app.use('/api', auth.attachRole);
 
-// Database setup (for slice loading and assignments)
-const db = new Database();
+// Every /api/admin route needs admin access
+app.use('/api/admin', requireAdmin);
+
+// Adaptive assignment engine (target ratings per slice, assignment leases)
+const assignmentEngine = new AssignmentEngine(db);
+
+// Annotation taxonomy (categories, labels, confidence scale) from TAXONOMY_FILE
+const taxonomyService = new TaxonomyService(db);
 
 // Google Sheets setup (for annotation saving)
 const sheetsService = new GoogleSheetsService();
 
-// Initialize database tables and load data
+// Annotation sinks chosen by ANNOTATION_SINKS, and the worker that delivers to them
+const sinks = createSinks(process.env.ANNOTATION_SINKS, { sheetsService });
+const deliveryWorker = new DeliveryWorker(db, sinks);
+
+// Initialize database tables and load data. The server cannot save or deliver
+// annotations without them, so a failure here (such as an edited taxonomy file
+// whose version was not bumped) stops the process.
 (async () => {
   try {
     console.log('Starting database initialization...');
     await db.initialize();
     console.log('Database initialization completed successfully');
     
-    // Check if we need to load slice data
-    const result = await db.get('SELECT COUNT(*) as count FROM slices');
-    console.log(`Database currently contains ${result.count} slices`);
+    await taxonomyService.load();
+    
+    // Check if we need to load slice data for the default study
+    const result = await db.get('SELECT COUNT(*) as count FROM slices WHERE study_id = ?', [DEFAULT_STUDY_ID]);
+    console.log(`Default study currently contains ${result.count} slices`);
     
     if (result.count === 0) {
       console.log('No slices found, running database setup...');
       const { setupDatabase } = require('./setup-database');
-      await setupDatabase();
+      await setupDatabase(db);
       console.log('Database setup completed during startup');
     }
+    
+    deliveryWorker.start();
   } catch (error) {
-    console.error('Database initialization error:', error);
-    console.error('Stack trace:', error.stack);
+    console.error('Startup failed, exiting:', error);
+    process.exit(1);
   }
 })();
 
-// Load balancing: Get assignment counts for each slice
-async function getSliceCounts() {
-  try {
-    const rows = await db.query(`
-      SELECT slice_id, COUNT(*) as count 
-      FROM assignments 
-      GROUP BY slice_id
-    `);
-    const counts = {};
-    rows.forEach(row => {
-      counts[row.slice_id] = row.count;
-    });
-    return counts;
-  } catch (error) {
-    throw error;
+// Gold-label accuracy for every participant with annotated gold slices
+// (in one study when studyId is given)
+async function getGoldAccuracy(studyId = null) {
+  const sliceRows = await db.query('SELECT id, gold_labels FROM slices WHERE gold_labels IS NOT NULL');
+  const annotationRows = await db.query(`
+    SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types
+    FROM annotations a
+    WHERE ${NOT_PREVIEW} ${studyId ? 'AND a.study_id = ?' : ''}
+    ORDER BY a.id
+  `, studyId ? [studyId] : []);
+  return computeGoldAccuracy(sliceRows, annotationRows, { categories: await reportCategories(studyId) });
+}
+
+// Preview mode (?preview=1) lets researchers open the study without Prolific IDs;
+// preview sessions are flagged and left out of exports, metrics and rating targets.
+// It is off unless the server runs with PREVIEW_MODE=true; the request parameter
+// alone never enables it.
+const PREVIEW_MODE = process.env.PREVIEW_MODE === 'true';
+
+function isPreview(req) {
+  const requested = req.query.preview === '1' || req.query.preview === 'true' || Boolean(req.body && req.body.preview === true);
+  return PREVIEW_MODE && requested;
+}
+
+// The study a participant request belongs to (?STUDY_ID=, ?study= or body.study_id).
+// Outside preview mode the ID is required. Sends a 400/404 and returns null otherwise.
+async function resolveStudy(req, res) {
+  let studyId = req.query.STUDY_ID || req.query.study || (req.body && req.body.study_id);
+  if (!studyId) {
+    if (!isPreview(req)) {
+      res.status(400).json({ error: 'Missing STUDY_ID' });
+      return null;
+    }
+    studyId = DEFAULT_STUDY_ID;
+  }
+  const study = await getStudy(db, String(studyId));
+  if (!study) {
+    res.status(404).json({ error: `Unknown study "${studyId}"` });
+    return null;
   }
+  return study;
 }
 
-// Get all slice IDs
-async function getAllSliceIds() {
+// The Prolific session a participant request belongs to (?SESSION_ID=, ?session= or
+// body.session_id), created or refreshed on every call. Outside preview mode the ID
+// is required. Sends an error and returns null when the session cannot be used.
+async function resolveSession(req, res, study, participantId) {
+  const preview = isPreview(req);
+  let sessionId = req.query.SESSION_ID || req.query.session || (req.body && req.body.session_id);
+  if (!sessionId) {
+    if (!preview) {
+      res.status(400).json({ error: 'Missing SESSION_ID' });
+      return null;
+    }
+    sessionId = `preview-${participantId}`;
+  }
+
   try {
-    const rows = await db.query('SELECT id FROM slices');
-    return rows.map(row => row.id);
+    return await touchSession(db, { sessionId: String(sessionId), participantId, studyId: study.id, preview });
   } catch (error) {
+    if (error instanceof SessionError) {
+      res.status(error.status).json({ error: error.message });
+      return null;
+    }
     throw error;
   }
 }
 
-// Shuffle array function
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Load the taxonomy and training set a study's settings name, so broken files are
+// refused before the study is saved. Throws TaxonomyError.
+async function checkStudyFiles(settings) {
+  const taxonomy = await taxonomyService.forStudy(settings);
+  checkTrainingSet(loadTrainingSet(settings.training_file || DEFAULT_TRAINING_FILE), taxonomy);
+}
+
+// Optional ?study= filter on admin reports
+function studyFilter(req) {
+  return req.query.study ? String(req.query.study) : null;
+}
+
+// Labels of the taxonomies an admin report covers, as { category: [label values] }:
+// the filtered study's taxonomy, or every study's when the report spans all of them
+async function reportLabels(studyId) {
+  const studies = studyId ? [await getStudy(db, studyId)].filter(Boolean) : await listStudies(db);
+  const taxonomies = [];
+  for (const study of studies) {
+    taxonomies.push(await taxonomyService.forStudy(study));
+  }
+  if (taxonomies.length === 0) {
+    taxonomies.push(await taxonomyService.getCurrent());
   }
-  return shuffled;
+  const labels = {};
+  taxonomies.forEach(taxonomy => taxonomy.categories.forEach(category => {
+    const values = new Set(labels[category.key] || []);
+    category.labels.forEach(label => values.add(label.value));
+    labels[category.key] = Array.from(values);
+  }));
+  return labels;
+}
+
+// Label category keys of the taxonomies an admin report covers
+async function reportCategories(studyId) {
+  return Object.keys(await reportLabels(studyId));
 }
 
 // API Endpoints
@@ -86,68 +233,61 @@ function shuffleArray(array) {
 // 1. Get assigned slices for a participant
 app.get('/api/participant/:id/slices', async (req, res) => {
   const participantId = req.params.id;
-  const SLICES_PER_PARTICIPANT = 15;
 
   try {
-    console.log(`Loading slices for participant: ${participantId}`);
-    
-    // Check if participant already has assignments
-    const existing = await db.query(
-      'SELECT slice_id FROM assignments WHERE participant_id = ?',
-      [participantId]
-    );
-    
-    console.log(`Found ${existing.length} existing assignments for participant ${participantId}`);
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+    const session = await resolveSession(req, res, study, participantId);
+    if (!session) return;
 
-    let assignedSliceIds;
+    console.log(`Loading slices for participant: ${participantId} (study ${study.id}, session ${session.session_id})`);
 
-    if (existing.length > 0) {
-      // Return existing assignments
-      assignedSliceIds = existing.map(row => row.slice_id);
-    } else {
-      // Create new assignments using load balancing
-      const allSliceIds = await getAllSliceIds();
-      const sliceCounts = await getSliceCounts();
-
-      // Initialize counts for slices that haven't been assigned yet
-      allSliceIds.forEach(id => {
-        if (!(id in sliceCounts)) {
-          sliceCounts[id] = 0;
-        }
-      });
+    // A closed study takes no new participants; those already assigned can finish
+    if (study.status !== 'open') {
+      const existing = await db.get(
+        'SELECT COUNT(*) as count FROM assignments WHERE participant_id = ? AND study_id = ?',
+        [participantId, study.id]
+      );
+      if (existing.count === 0) {
+        return res.status(403).json({ error: 'This study is closed' });
+      }
+    }
+    
+    // Real slices only after a passed training (or an assignment from before scoring)
+    const state = await getParticipantState(db, participantId, study.id);
+    if (!state.training_completed) {
+      return res.status(409).json({ error: 'Training has not been passed yet' });
+    }
 
-      // Sort slices by count (least assigned first), then shuffle within equal counts
-      const sortedSlices = allSliceIds.sort((a, b) => {
-        const countDiff = sliceCounts[a] - sliceCounts[b];
-        if (countDiff === 0) {
-          // Equal counts - randomize order
-          return Math.random() - 0.5;
-        }
-        return countDiff;
-      });
+    // Free the slices of abandoned sessions before handing out new ones
+    await expireSessions(db);
 
-      // Take the first SLICES_PER_PARTICIPANT slices (least assigned)
-      assignedSliceIds = sortedSlices.slice(0, SLICES_PER_PARTICIPANT);
+    // Existing assignments are returned as-is; new ones are created atomically
+    const { sliceIds: assignedSliceIds, created } = await assignmentEngine.assignSlices(participantId, {
+      studyId: study.id,
+      ...assignmentQuota(study)
+    });
 
-      // Insert assignments
-      for (const sliceId of assignedSliceIds) {
-        await db.run(
-          'INSERT INTO assignments (participant_id, slice_id) VALUES (?, ?)',
-          [participantId, sliceId]
-        );
-      }
-    }
+    console.log(`${created ? 'Created' : 'Found'} ${assignedSliceIds.length} assignments for participant ${participantId}`);
+
+    // Only the slices still to do are sent, so a refreshed page resumes where it left off
+    const annotatedRows = await db.query(
+      'SELECT slice_id FROM annotations WHERE participant_id = ? AND study_id = ?',
+      [participantId, study.id]
+    );
+    const annotated = new Set(annotatedRows.map(row => row.slice_id));
+    const remainingSliceIds = assignedSliceIds.filter(id => !annotated.has(id));
 
     // Fetch slice details
-    const placeholders = assignedSliceIds.map(() => '?').join(',');
-    const sliceRows = await db.query(
+    const placeholders = remainingSliceIds.map(() => '?').join(',');
+    const sliceRows = remainingSliceIds.length === 0 ? [] : await db.query(
       `SELECT * FROM slices WHERE id IN (${placeholders})`,
-      assignedSliceIds
+      remainingSliceIds
     );
 
-    // Parse JSON fields and maintain order
-    const slicesData = assignedSliceIds.map(id => {
-      const slice = sliceRows.find(s => s.id === id);
+    // Parse JSON fields and maintain order; gold labels stay on the server
+    const slicesData = remainingSliceIds.map(id => {
+      const { gold_labels, ...slice } = sliceRows.find(s => s.id === id);
       return {
         ...slice,
         focus_turns: JSON.parse(slice.focus_turns || '[]'),
@@ -157,8 +297,12 @@ app.get('/api/participant/:id/slices', async (req, res) => {
 
     res.json({
       participant_id: participantId,
+      study_id: study.id,
+      session_id: session.session_id,
       slices: slicesData,
-      total: slicesData.length
+      total: assignedSliceIds.length,
+      // Index of the first returned slice within the whole assignment
+      resume_index: assignedSliceIds.length - remainingSliceIds.length
     });
   } catch (error) {
     console.error('Error in /api/participant/:id/slices:', error);
@@ -169,71 +313,136 @@ app.get('/api/participant/:id/slices', async (req, res) => {
 // 2. Submit annotation
 app.post('/api/annotations', async (req, res) => {
   console.log('Received annotation submission:', req.body);
-  
+  const body = req.body || {};
+
+  // Refusals get a structured error ({ error, details? }) and are kept for review
+  const reject = async (status, response, context = {}) => {
+    console.log(`Rejected annotation (${status}): ${response.error}`, response.details || '');
+    await logRejectedAnnotation(db, { status, error: response.error, details: response.details, body, ...context });
+    res.status(status).json(response);
+  };
+
+  const schemaErrors = validateAnnotationPayload(body);
+  if (schemaErrors.length > 0) {
+    return reject(400, { error: 'Invalid annotation', details: schemaErrors });
+  }
+
   const {
     participant_id,
     slice_id,
     interaction_types,
     curiosity_types,
     routing_validation,
-    annotation_time_seconds
-  } = req.body;
+    annotation_time_seconds,
+    taxonomy_version_id
+  } = body;
 
-  // Validate required fields - allow empty interaction_types array
-  if (!participant_id || !slice_id || interaction_types === undefined) {
-    console.log('Missing required fields:', { participant_id, slice_id, interaction_types });
-    return res.status(400).json({ error: 'Missing required fields' });
+  // Labels come keyed by taxonomy category; older clients send the
+  // interaction_types / curiosity_types fields directly
+  let labels = body.labels;
+  if (labels === undefined) {
+    labels = { interaction_types, curiosity_types: curiosity_types || [] };
   }
-  
-  // Log if submission is empty (user didn't select anything)
-  if (interaction_types.length === 0 && (!curiosity_types || curiosity_types.length === 0)) {
-    console.log('Empty submission received (no selections made)');
-  }
-  
-  console.log('Validated fields, attempting to save annotation...');
 
   try {
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+    const session = await resolveSession(req, res, study, participant_id);
+    if (!session) return;
+    const context = { studyId: study.id, sessionId: session.session_id };
+
+    const slice = await db.get('SELECT study_id, dataset_version_id, hybrid_predictions FROM slices WHERE id = ?', [slice_id]);
+    if (!slice || slice.study_id !== study.id) {
+      return reject(400, { error: `Slice ${slice_id} does not belong to study ${study.id}` }, context);
+    }
+    if (!(await isAssigned(db, participant_id, slice_id, study.id))) {
+      return reject(403, { error: `Slice ${slice_id} is not assigned to participant ${participant_id}` }, context);
+    }
+
+    const timeError = checkAnnotationTime(annotation_time_seconds, session);
+    if (timeError) {
+      return reject(422, { error: 'Implausible annotation time', details: [timeError] }, context);
+    }
+
+    const taxonomy = await taxonomyService.forStudy(study);
+    if (taxonomy_version_id !== undefined && taxonomy_version_id !== null &&
+        Number(taxonomy_version_id) !== taxonomy.taxonomy_version_id) {
+      return reject(409, {
+        error: 'The annotation taxonomy has changed; reload the page',
+        taxonomy_version_id: taxonomy.taxonomy_version_id
+      }, context);
+    }
+
+    let normalizedLabels;
+    try {
+      normalizedLabels = normalizeLabels(taxonomy, labels);
+    } catch (error) {
+      if (error instanceof TaxonomyError) {
+        return reject(400, { error: error.message, details: error.errors }, context);
+      }
+      throw error;
+    }
+
+    // Routing questions are only asked in studies that enable them, and verdicts
+    // must refer to labels the model actually predicted for this slice
+    const answeredRouting = routing_validation && (routing_validation.predictions || routing_validation.routing);
+    if (answeredRouting && !Number(study.routing_validation)) {
+      return reject(400, { error: `Study ${study.id} does not ask routing validation questions` }, context);
+    }
+    const { routingValidation, errors: routingErrors } = normalizeRoutingValidation(
+      routing_validation,
+      slice.hybrid_predictions,
+      taxonomy.categories.map(category => category.key)
+    );
+    if (routingErrors.length > 0) {
+      return reject(400, { error: 'Invalid routing validation', details: routingErrors }, context);
+    }
+
+    // Log if submission is empty (user didn't select anything)
+    if (Object.values(normalizedLabels).every(selected => selected.length === 0)) {
+      console.log('Empty submission received (no selections made)');
+    }
+
+    console.log('Validated fields, attempting to save annotation...');
+
     const annotation = {
       participant_id,
       slice_id,
-      interaction_types,
-      curiosity_types: curiosity_types || [],
-      routing_validation: routing_validation || {},
-      annotation_time_seconds: annotation_time_seconds || 0
+      study_id: study.id,
+      session_id: session.session_id,
+      interaction_types: normalizedLabels.interaction_types || [],
+      curiosity_types: normalizedLabels.curiosity_types || [],
+      labels: normalizedLabels,
+      taxonomy_version_id: taxonomy.taxonomy_version_id,
+      dataset_version_id: slice.dataset_version_id,
+      routing_validation: routingValidation,
+      annotation_time_seconds
     };
 
-    // Try to save to Google Sheets first
-    const sheetsSaved = await sheetsService.saveAnnotation(annotation);
-    
-    // Also save to local database as backup
-    try {
-      await db.run(`
-        INSERT INTO annotations 
-        (participant_id, slice_id, interaction_types, curiosity_types, routing_validation, annotation_time_seconds)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, [
-        participant_id,
-        slice_id,
-        JSON.stringify(interaction_types),
-        JSON.stringify(curiosity_types || []),
-        JSON.stringify(routing_validation || {}),
-        annotation_time_seconds || 0
-      ]);
-      console.log('Annotation saved to local database as backup');
-    } catch (dbError) {
-      console.error('Database backup failed:', dbError.message);
-    }
-
-    if (sheetsSaved) {
-      console.log('Annotation saved successfully to Google Sheets');
-    } else {
-      console.log('Google Sheets save failed, but local backup saved');
-    }
+    // Store the annotation and queue it for every sink in one transaction,
+    // so an annotation is never saved without eventually being delivered
+    // A repeated submission of the same slice becomes a new revision of its annotation.
+    // A retry carrying an idempotency key the participant already used saves nothing
+    // and gets the original result back.
+    const idempotencyKey = req.get('Idempotency-Key') || body.idempotency_key || null;
+    const saved = await submitAnnotation(db, annotation, {
+      idempotencyKey,
+      onSaved: async (tx, result) => {
+        await enqueueAnnotation(tx, result.id, deliveryWorker.sinkNames());
+        await recordAnnotation(tx, participant_id, study.id);
+      }
+    });
+    console.log(saved.duplicate ?
+      `Duplicate submission ${idempotencyKey} of annotation ${saved.id} ignored` :
+      `Annotation ${saved.id} (revision ${saved.revision}) saved and queued for delivery`);
     
     res.json({
       success: true,
-      message: 'Annotation saved successfully',
-      saved_to_sheets: sheetsSaved
+      message: saved.duplicate ? 'Annotation already saved' : 'Annotation saved successfully',
+      annotation_id: saved.id,
+      revision: saved.revision,
+      duplicate: Boolean(saved.duplicate),
+      queued_for: deliveryWorker.sinkNames()
     });
   } catch (error) {
     console.error('Error saving annotation:', error);
@@ -242,75 +451,38 @@ app.post('/api/annotations', async (req, res) => {
   }
 });
 
-// 3. Export data as CSV
-app.get('/api/export', async (req, res) => {
+// 3. Export annotations for analysis, streamed batch by batch.
+// ?format=csv|jsonl|parquet, ?layout=wide (one row per annotation) or long (one
+// row per label and confidence). Filters: ?study=, ?participant= (comma separated),
+// ?dataset_version=, ?from= / ?to= (UTC dates or timestamps) and ?include_preview=1
+// (preview sessions are left out by default).
+app.get('/api/export', requireAdmin, async (req, res) => {
+  let options;
   try {
-    console.log('Export endpoint called');
-    
-    // First check if we have any annotations at all
-    const annotationCount = await db.get('SELECT COUNT(*) as count FROM annotations');
-    console.log(`Total annotations in database: ${annotationCount.count}`);
-    
-    // Check if we have any slices
-    const sliceCount = await db.get('SELECT COUNT(*) as count FROM slices');
-    console.log(`Total slices in database: ${sliceCount.count}`);
-    
-    // Check if we have any assignments
-    const assignmentCount = await db.get('SELECT COUNT(*) as count FROM assignments');
-    console.log(`Total assignments in database: ${assignmentCount.count}`);
-    
-    const rows = await db.query(`
-      SELECT 
-        a.participant_id,
-        a.slice_id,
-        a.interaction_types,
-        a.curiosity_types,
-        a.routing_validation,
-        a.annotation_time_seconds,
-        a.submitted_at,
-        s.conversation_id
-      FROM annotations a
-      JOIN assignments ass ON a.participant_id = ass.participant_id AND a.slice_id = ass.slice_id
-      JOIN slices s ON a.slice_id = s.id
-      ORDER BY a.participant_id, a.submitted_at
-    `);
-    
-    console.log(`Export query returned ${rows.length} rows`);
-
-    // Convert to CSV
-    const headers = [
-      'participant_id',
-      'slice_id', 
-      'conversation_id',
-      'interaction_types',
-      'curiosity_types',
-      'routing_validation',
-      'annotation_time_seconds',
-      'submitted_at'
-    ];
-
-    let csv = headers.join(',') + '\n';
-    
-    rows.forEach(row => {
-      const csvRow = [
-        row.participant_id,
-        row.slice_id,
-        row.conversation_id,
-        `"${row.interaction_types}"`,
-        `"${row.curiosity_types}"`,
-        `"${row.routing_validation}"`,
-        row.annotation_time_seconds,
-        row.submitted_at
-      ];
-      csv += csvRow.join(',') + '\n';
-    });
+    options = parseExportOptions({ ...req.query, study: studyFilter(req) });
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Export options error:', error);
+    return res.status(500).json({ error: 'Export failed' });
+  }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename="validation_data.csv"');
-    res.send(csv);
+  try {
+    options.categories = await reportCategories(options.filters.studyId);
+    res.setHeader('Content-Type', getFormat(options.format).contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(options)}"`);
+    const result = await writeExport(db, options, res);
+    console.log(`Exported ${result.annotations} annotations as ${result.rows} ${options.layout} ${options.format} rows`);
   } catch (error) {
     console.error('Export error:', error);
-    res.status(500).json({ error: 'Export failed' });
+    // Once rows are streamed the status is sent; cut the download short instead
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Export failed' });
+    }
   }
 });
 
@@ -319,12 +491,12 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
-// 5. Manual setup trigger (for debugging)
-app.get('/api/setup', async (req, res) => {
+// 5. Manual setup trigger (for debugging) - imports slices without deleting annotations
+app.get('/api/setup', requireAdmin, async (req, res) => {
   try {
     const { setupDatabase } = require('./setup-database');
-    await setupDatabase();
-    res.json({ success: true, message: 'Database setup completed' });
+    const result = await setupDatabase(db, { study: studyFilter(req) || DEFAULT_STUDY_ID });
+    res.json({ success: true, message: 'Database setup completed', import: result || null });
   } catch (error) {
     console.error('Manual setup failed:', error);
     res.status(500).json({ error: 'Setup failed', details: error.message });
@@ -332,7 +504,7 @@ app.get('/api/setup', async (req, res) => {
 });
 
 // 7. Setup Google Sheets headers
-app.get('/api/setup-sheets', async (req, res) => {
+app.get('/api/setup-sheets', requireAdmin, async (req, res) => {
   try {
     const success = await sheetsService.setupHeaders();
     if (success) {
@@ -347,7 +519,7 @@ app.get('/api/setup-sheets', async (req, res) => {
 });
 
 // 6. Check slice count (for debugging)
-app.get('/api/debug/slices', async (req, res) => {
+app.get('/api/debug/slices', requireAdmin, async (req, res) => {
   try {
     const result = await db.get('SELECT COUNT(*) as count FROM slices');
     res.json({ slice_count: result.count });
@@ -356,7 +528,615 @@ app.get('/api/debug/slices', async (req, res) => {
   }
 });
 
+// 8. Inter-annotator agreement report
+app.get('/api/agreement', requireAdmin, async (req, res) => {
+  try {
+    const weighted = req.query.weighted === 'true' || req.query.weighted === '1';
+    const studyId = studyFilter(req);
+
+    const rows = await db.query(`
+      SELECT
+        a.participant_id,
+        a.slice_id,
+        a.labels,
+        a.interaction_types,
+        a.curiosity_types,
+        s.conversation_id
+      FROM annotations a
+      LEFT JOIN slices s ON a.slice_id = s.id
+      WHERE ${NOT_PREVIEW} ${studyId ? 'AND a.study_id = ?' : ''}
+      ORDER BY a.id
+    `, studyId ? [studyId] : []);
+
+    console.log(`Computing agreement over ${rows.length} annotations (weighted: ${weighted})`);
+
+    res.json(computeAgreement(rows, { weighted, labels: await reportLabels(studyId) }));
+  } catch (error) {
+    console.error('Agreement report error:', error);
+    res.status(500).json({ error: 'Agreement report failed' });
+  }
+});
+
+// 9. Model-vs-human validation of hybrid predictions
+app.get('/api/validation/model', requireAdmin, async (req, res) => {
+  try {
+    const minRaters = parseInt(req.query.min_raters, 10) || 1;
+    const studyId = studyFilter(req);
+    const where = studyId ? 'WHERE study_id = ?' : '';
+    const params = studyId ? [studyId] : [];
+
+    const sliceRows = await db.query(`SELECT id, hybrid_predictions FROM slices ${where}`, params);
+    const annotationRows = await db.query(`
+      SELECT a.participant_id, a.slice_id, a.labels, a.interaction_types, a.curiosity_types, a.routing_validation
+      FROM annotations a
+      WHERE ${NOT_PREVIEW} ${studyId ? 'AND a.study_id = ?' : ''}
+      ORDER BY a.id
+    `, params);
+
+    console.log(`Validating predictions for ${sliceRows.length} slices against ${annotationRows.length} annotations`);
+
+    res.json(validatePredictions(sliceRows, annotationRows, { minRaters, categories: await reportCategories(studyId) }));
+  } catch (error) {
+    console.error('Model validation error:', error);
+    res.status(500).json({ error: 'Model validation failed' });
+  }
+});
+
+// 10. Gold-label quality control report
+app.get('/api/admin/gold-accuracy', async (req, res) => {
+  try {
+    const results = await getGoldAccuracy(studyFilter(req));
+    const flaggedOnly = req.query.flagged === 'true';
+
+    res.json({
+      threshold: GOLD_ACCURACY_THRESHOLD,
+      participants: flaggedOnly ? results.filter(result => result.flagged) : results,
+      flagged_count: results.filter(result => result.flagged).length
+    });
+  } catch (error) {
+    console.error('Gold accuracy report error:', error);
+    res.status(500).json({ error: 'Gold accuracy report failed' });
+  }
+});
+
+// 11. Imported dataset versions
+app.get('/api/dataset-versions', requireAdmin, async (req, res) => {
+  try {
+    const studyId = studyFilter(req);
+    const versions = await db.query(`
+      SELECT
+        v.id,
+        v.study_id,
+        v.source_file,
+        v.content_hash,
+        v.slice_count,
+        v.imported_at,
+        (SELECT COUNT(*) FROM slices s WHERE s.dataset_version_id = v.id AND s.retired_at IS NULL) as active_slices
+      FROM dataset_versions v
+      ${studyId ? 'WHERE v.study_id = ?' : ''}
+      ORDER BY v.id DESC
+    `, studyId ? [studyId] : []);
+    const retired = await db.get(
+      `SELECT COUNT(*) as count FROM slices WHERE retired_at IS NOT NULL ${studyId ? 'AND study_id = ?' : ''}`,
+      studyId ? [studyId] : []
+    );
+    res.json({ versions, retired_slices: retired.count });
+  } catch (error) {
+    console.error('Dataset versions error:', error);
+    res.status(500).json({ error: 'Failed to load dataset versions' });
+  }
+});
+
+// 12. Participant progress events (study start, scored training attempts)
+app.post('/api/participant/:id/start', async (req, res) => {
+  try {
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+    const session = await resolveSession(req, res, study, req.params.id);
+    if (!session) return;
+    await recordStart(db, req.params.id, study.id);
+    res.json({
+      success: true,
+      session_id: session.session_id,
+      preview: Boolean(session.preview),
+      // Lets a refreshed page skip the steps the participant already finished
+      state: await getParticipantState(db, req.params.id, study.id)
+    });
+  } catch (error) {
+    console.error('Error recording participant start:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { answers: { [item_id]: labels keyed by taxonomy category } }. Every attempt
+// is stored; a passing one completes training. Replies with per-item feedback, which
+// includes the expected answers only once the participant passed or has no attempts
+// left. Further attempts after the last one are refused with 403.
+app.post('/api/participant/:id/training-attempts', async (req, res) => {
+  const answers = req.body && req.body.answers;
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return res.status(400).json({ error: 'answers must be an object keyed by training item ID' });
+  }
+
+  try {
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+    const session = await resolveSession(req, res, study, req.params.id);
+    if (!session) return;
+
+    const trainingSet = loadTrainingSet(study.training_file || DEFAULT_TRAINING_FILE);
+    let result;
+    try {
+      result = scoreTrainingAttempt(trainingSet, await taxonomyService.forStudy(study), answers);
+    } catch (error) {
+      if (error instanceof TaxonomyError) {
+        return res.status(400).json({ error: error.message, details: error.errors });
+      }
+      throw error;
+    }
+
+    const allowed = maxAttempts(trainingSet);
+    const attempt = await db.transaction(tx => recordTrainingAttempt(tx, {
+      participantId: req.params.id,
+      studyId: study.id,
+      sessionId: session.session_id,
+      trainingId: trainingSet.id || null,
+      result,
+      maxAttempts: allowed
+    }));
+    if (attempt === null) {
+      return res.status(403).json({ error: 'No training attempts left', max_attempts: allowed });
+    }
+
+    const attemptsLeft = result.passed ? 0 : allowed - attempt;
+    res.json({
+      attempt,
+      score: result.score,
+      passed: result.passed,
+      passing_score: result.passing_score,
+      max_attempts: allowed,
+      attempts_left: attemptsLeft,
+      items: trainingFeedback(result, { reveal: result.passed || attemptsLeft === 0 })
+    });
+  } catch (error) {
+    console.error('Error scoring training attempt:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 13. Admin dashboard data (live study monitoring)
+app.get('/api/admin/dashboard', async (req, res) => {
+  try {
+    const studyId = studyFilter(req);
+    res.json(await buildDashboard({
+      db, assignmentEngine, sheetsService, deliveryWorker, studyId, labels: await reportLabels(studyId)
+    }));
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ error: 'Dashboard failed' });
+  }
+});
+
+// 14. Admin sign-in: exchanges ADMIN_PASSWORD (or ADMIN_TOKEN) for a session token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const result = await auth.login(req.body && req.body.password, req.ip);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ token: result.token, expires_at: result.expires_at });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(req);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// 15. Rebuild or backfill a sink from the database
+// (body.mode: 'backfill' queues annotations the sink is missing, 'rebuild' rewrites it)
+async function resyncSink(sinkName, req, res) {
+  const mode = (req.body && req.body.mode) || 'backfill';
+  if (!['backfill', 'rebuild'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be "backfill" or "rebuild"' });
+  }
+  const sink = deliveryWorker.getSink(sinkName);
+  if (!sink) {
+    return res.status(404).json({ error: `Annotation sink "${sinkName}" is not enabled` });
+  }
+  if (!sink.isConfigured()) {
+    return res.status(409).json({ error: `Annotation sink "${sinkName}" is not configured` });
+  }
+  if (mode === 'rebuild' && !sink.rewrite) {
+    return res.status(400).json({ error: `Annotation sink "${sinkName}" does not support rebuild` });
+  }
+
+  try {
+    const result = await deliveryWorker.resync(sinkName, mode);
+    res.json({ success: true, ...result, deliveries: (await deliveryWorker.getStatus())[sinkName] });
+  } catch (error) {
+    console.error(`Resync of ${sinkName} failed:`, error);
+    res.status(500).json({ error: 'Resync failed', details: error.message });
+  }
+}
+
+app.post('/api/admin/sinks/:name/resync', (req, res) => resyncSink(req.params.name, req, res));
+app.post('/api/admin/sheets/resync', (req, res) => resyncSink('google_sheets', req, res));
+
+// 16. Delivery status per annotation sink
+app.get('/api/admin/sinks', async (req, res) => {
+  try {
+    res.json({ sinks: await deliveryWorker.getStatus() });
+  } catch (error) {
+    console.error('Sink status error:', error);
+    res.status(500).json({ error: 'Failed to load sink status' });
+  }
+});
+
+// 17. Annotation taxonomy of a study (?STUDY_ID= selects the study)
+app.get('/api/taxonomy', async (req, res) => {
+  try {
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+    res.json(await taxonomyService.forStudy(study));
+  } catch (error) {
+    console.error('Taxonomy error:', error);
+    res.status(500).json({ error: 'Failed to load taxonomy', details: error.message });
+  }
+});
+
+// 18. Study settings for the participant page (?STUDY_ID= selects the study)
+app.get('/api/study', async (req, res) => {
+  try {
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+    res.json(publicStudyConfig(study, await taxonomyService.forStudy(study)));
+  } catch (error) {
+    console.error('Study config error:', error);
+    res.status(500).json({ error: 'Failed to load study', details: error.message });
+  }
+});
+
+// 19. Completion code, issued once every assigned slice is annotated and the checks pass
+app.get('/api/participant/:id/completion', async (req, res) => {
+  try {
+    const study = await resolveStudy(req, res);
+    if (!study) return;
+
+    const session = await resolveSession(req, res, study, req.params.id);
+    if (!session) return;
+    // Study completion codes are real credit on Prolific; test runs never get one
+    if (Number(session.preview)) {
+      return res.status(403).json({ error: 'Preview sessions do not receive completion codes' });
+    }
+
+    const result = await issueCompletionCode(db, study, req.params.id);
+    if (!result.issued) {
+      // 409 while slices are still open; 403 when the work is done but failed the checks
+      return res.status(result.complete ? 403 : 409).json({
+        error: result.complete ? 'Completion checks not passed' : 'Not all assigned slices are annotated yet',
+        reasons: result.reasons
+      });
+    }
+    await completeSession(db, session.session_id);
+    res.json({ study_id: study.id, completion_code: result.code, issued_at: result.issued_at });
+  } catch (error) {
+    console.error('Completion code error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 20. Study management
+app.get('/api/admin/studies', async (req, res) => {
+  try {
+    res.json({ studies: await listStudies(db) });
+  } catch (error) {
+    console.error('Study list error:', error);
+    res.status(500).json({ error: 'Failed to list studies' });
+  }
+});
+
+app.post('/api/admin/studies', async (req, res) => {
+  const errors = validateStudyInput(req.body, { creating: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid study settings', details: errors });
+  }
+
+  try {
+    if (await getStudy(db, req.body.id)) {
+      return res.status(409).json({ error: `Study "${req.body.id}" already exists` });
+    }
+    // Fail now rather than on the first participant if a file is broken
+    try {
+      await checkStudyFiles(req.body);
+    } catch (error) {
+      if (error instanceof TaxonomyError) {
+        return res.status(400).json({ error: error.message, details: error.errors });
+      }
+      throw error;
+    }
+    const study = await createStudy(db, req.body);
+    res.status(201).json(study);
+  } catch (error) {
+    console.error('Study creation error:', error);
+    res.status(500).json({ error: 'Failed to create study', details: error.message });
+  }
+});
+
+app.patch('/api/admin/studies/:id', async (req, res) => {
+  const errors = validateStudyInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid study settings', details: errors });
+  }
+
+  try {
+    const existing = await getStudy(db, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: `Unknown study "${req.params.id}"` });
+    }
+    try {
+      await checkStudyFiles({ ...existing, ...req.body });
+    } catch (error) {
+      if (error instanceof TaxonomyError) {
+        return res.status(400).json({ error: error.message, details: error.errors });
+      }
+      throw error;
+    }
+    const study = await updateStudy(db, req.params.id, req.body);
+    res.json(study);
+  } catch (error) {
+    console.error('Study update error:', error);
+    res.status(500).json({ error: 'Failed to update study', details: error.message });
+  }
+});
+
+// 21. Prolific approval recommendations (?format=approve|reject gives the IDs one per line)
+app.get('/api/admin/studies/:id/completions', async (req, res) => {
+  try {
+    const study = await getStudy(db, req.params.id);
+    if (!study) {
+      return res.status(404).json({ error: `Unknown study "${req.params.id}"` });
+    }
+
+    const recommendations = await completionRecommendations(db, study);
+    if (req.query.format === 'approve' || req.query.format === 'reject') {
+      const ids = recommendations
+        .filter(row => row.recommendation === req.query.format)
+        .map(row => row.participant_id);
+      res.type('text/plain').send(ids.join('\n'));
+      return;
+    }
+
+    res.json({
+      study_id: study.id,
+      approve: recommendations.filter(row => row.recommendation === 'approve').length,
+      reject: recommendations.filter(row => row.recommendation === 'reject').length,
+      participants: recommendations
+    });
+  } catch (error) {
+    console.error('Completion recommendations error:', error);
+    res.status(500).json({ error: 'Failed to build recommendations' });
+  }
+});
+
+// 22. Look up the participant a completion code was issued to
+app.get('/api/admin/completion-codes/:code', async (req, res) => {
+  try {
+    const row = await findCompletionCode(db, req.params.code);
+    if (!row) {
+      return res.status(404).json({ valid: false, error: 'Completion code was not issued by this server' });
+    }
+    res.json({ valid: true, ...row });
+  } catch (error) {
+    console.error('Completion code lookup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 23. Sessions of a study in the format of Prolific's submission export, for reconciliation
+app.get('/api/admin/studies/:id/prolific-export', async (req, res) => {
+  try {
+    const study = await getStudy(db, req.params.id);
+    if (!study) {
+      return res.status(404).json({ error: `Unknown study "${req.params.id}"` });
+    }
+
+    await expireSessions(db);
+    const csv = await prolificSubmissionsCsv(db, study.id, {
+      includePreview: req.query.include_preview === '1' || req.query.include_preview === 'true'
+    });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="prolific_submissions_${study.id}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Prolific export error:', error);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+// 24. Mark participants returned on Prolific ({ ids: [session or participant IDs] }),
+// releasing their unannotated slices
+app.post('/api/admin/studies/:id/returns', async (req, res) => {
+  const ids = req.body && req.body.ids;
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    return res.status(400).json({ error: 'ids must be an array of session or participant IDs' });
+  }
+
+  try {
+    const study = await getStudy(db, req.params.id);
+    if (!study) {
+      return res.status(404).json({ error: `Unknown study "${req.params.id}"` });
+    }
+    res.json({ success: true, ...(await returnSessions(db, study.id, ids)) });
+  } catch (error) {
+    console.error('Session return error:', error);
+    res.status(500).json({ error: 'Failed to mark sessions returned' });
+  }
+});
+
+// 25. Revision history of an annotation (earlier submissions of the same slice)
+app.get('/api/admin/annotations/:id/revisions', async (req, res) => {
+  try {
+    const annotation = await db.get('SELECT * FROM annotations WHERE id = ?', [req.params.id]);
+    if (!annotation) {
+      return res.status(404).json({ error: `Unknown annotation ${req.params.id}` });
+    }
+    res.json({ annotation, revisions: await getRevisions(db, annotation.id) });
+  } catch (error) {
+    console.error('Annotation revisions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 26. Training attempts per participant next to their annotation quality
+app.get('/api/admin/studies/:id/training', async (req, res) => {
+  try {
+    const study = await getStudy(db, req.params.id);
+    if (!study) {
+      return res.status(404).json({ error: `Unknown study "${req.params.id}"` });
+    }
+    const gold = new Map((await getGoldAccuracy(study.id)).map(result => [result.participant_id, result]));
+    const participants = (await trainingSummary(db, study.id)).map(row => ({
+      ...row,
+      gold_accuracy: gold.has(row.participant_id) ? gold.get(row.participant_id).accuracy : null
+    }));
+    res.json({ study_id: study.id, participants });
+  } catch (error) {
+    console.error('Training report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 27. Consensus labels per slice. ?strategy=majority|weighted|dawid_skene,
+// ?study=, ?include_preview=1. JSON by default; ?format=csv|jsonl|parquet downloads
+// one row per slice and label instead.
+app.get('/api/consensus', requireAdmin, async (req, res) => {
+  const strategy = req.query.strategy || 'majority';
+  if (!CONSENSUS_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `Unknown consensus strategy "${strategy}" (available: ${CONSENSUS_STRATEGIES.join(', ')})` });
+  }
+  let format = null;
+  if (req.query.format) {
+    try {
+      format = getFormat(req.query.format);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    const studyId = studyFilter(req);
+    const report = await loadConsensus(db, {
+      studyId,
+      strategy,
+      categories: await reportCategories(studyId),
+      includePreview: req.query.include_preview === '1' || req.query.include_preview === 'true'
+    });
+    console.log(`Computed ${strategy} consensus for ${report.slices.length} slices from ${report.annotations} annotations`);
+
+    if (!format) {
+      return res.json(report);
+    }
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="consensus_${strategy}.${format.extension}"`);
+    await writeRows(format.name, CONSENSUS_COLUMNS, consensusRows(report), res);
+  } catch (error) {
+    console.error('Consensus error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Consensus failed' });
+    }
+  }
+});
+
+// 28. Annotator quality profiles: timing, empty and straight-lined submissions,
+// agreement with the other raters and label skew, with flags (?flagged=true for
+// flagged participants only, ?participant= for one)
+app.get('/api/admin/annotator-quality', async (req, res) => {
+  try {
+    const studyId = studyFilter(req);
+    let profiles = await loadAnnotatorProfiles(db, {
+      studyId,
+      categories: await reportCategories(studyId),
+      includePreview: req.query.include_preview === '1' || req.query.include_preview === 'true'
+    });
+    const flaggedCount = profiles.filter(profile => profile.flagged).length;
+    if (req.query.participant) {
+      profiles = profiles.filter(profile => profile.participant_id === req.query.participant);
+    }
+    if (req.query.flagged === 'true') {
+      profiles = profiles.filter(profile => profile.flagged);
+    }
+
+    res.json({
+      thresholds: { ...QUALITY_THRESHOLDS, min_annotations: MIN_PROFILE_ANNOTATIONS },
+      participants: profiles,
+      flagged_count: flaggedCount
+    });
+  } catch (error) {
+    console.error('Annotator quality report error:', error);
+    res.status(500).json({ error: 'Annotator quality report failed' });
+  }
+});
+
+// 29. Annotation submissions the server refused (?study=, ?participant=, ?limit=, newest first)
+app.get('/api/admin/rejected-annotations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const rejected = await getRejectedAnnotations(db, {
+      studyId: studyFilter(req),
+      participantId: req.query.participant || null,
+      limit
+    });
+    res.json({ rejected });
+  } catch (error) {
+    console.error('Rejected annotations error:', error);
+    res.status(500).json({ error: 'Failed to load rejected annotations' });
+  }
+});
+
+// Malformed JSON bodies get a structured 400 like other validation errors
+app.use(async (error, req, res, next) => {
+  if (error.type !== 'entity.parse.failed') {
+    return next(error);
+  }
+  const response = { error: 'Invalid JSON body', details: [{ path: '/', message: error.message }] };
+  if (req.path === '/api/annotations') {
+    await logRejectedAnnotation(db, { status: 400, error: response.error, details: response.details, body: error.body });
+  }
+  res.status(400).json(response);
+});
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Validation server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Stop accepting requests, then close the database (drains the PostgreSQL pool)
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
+  deliveryWorker.stop();
+  server.close(async () => {
+    try {
+      await db.close();
+      console.log('Database connection closed');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error closing database:', error);
+      process.exit(1);
+    }
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,192 @@
+// Prolific sessions: one row per SESSION_ID with start/end times and outcome.
+// A session ends as completed (code issued), returned (participant gave the study
+// back, or started over in a new session) or timed_out (no activity for
+// SESSION_TIMEOUT_MINUTES). Returned and timed-out sessions release the slices
+// their participant had not annotated yet, so others can be assigned them.
+const { toSqlTimestamp } = require('./assignment');
+const { toIsoTimestamp } = require('./sinks/common');
+const { csvField } = require('./exporters/common');
+
+const SESSION_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES || '90', 10);
+
+const SESSION_STATUSES = ['active', 'completed', 'returned', 'timed_out'];
+
+// Raised when a session ID cannot be used for the request
+class SessionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+async function getSession(conn, sessionId) {
+  return conn.get('SELECT * FROM sessions WHERE session_id = ?', [sessionId]);
+}
+
+// Give a participant's released slices back to them (they came back after a timeout)
+async function reclaimAssignments(conn, participantId, studyId) {
+  await conn.run(`
+    UPDATE assignments SET released_at = NULL, assigned_at = ?
+    WHERE participant_id = ? AND study_id = ? AND released_at IS NOT NULL
+  `, [toSqlTimestamp(new Date()), participantId, studyId]);
+}
+
+// Release the slices a participant was assigned but has not annotated
+async function releaseAssignments(conn, participantId, studyId) {
+  const result = await conn.run(`
+    UPDATE assignments SET released_at = ?
+    WHERE participant_id = ? AND study_id = ? AND released_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM annotations a
+      WHERE a.participant_id = assignments.participant_id AND a.slice_id = assignments.slice_id
+    )
+  `, [toSqlTimestamp(new Date()), participantId, studyId]);
+  return result.changes || 0;
+}
+
+// Create the session on first contact and refresh it afterwards. A new session
+// for a participant supersedes (returns) their other active sessions in the
+// study; a timed-out session that shows activity again becomes active.
+// Throws SessionError for sessions of another participant or already returned.
+// Locked per session, so concurrent first requests create the session only once.
+async function touchSession(db, { sessionId, participantId, studyId, preview = false }) {
+  return db.transaction(async tx => {
+    await tx.lock(`session-${sessionId}`);
+    await tx.lock(`participant-sessions-${studyId}-${participantId}`);
+    const now = toSqlTimestamp(new Date());
+    const existing = await getSession(tx, sessionId);
+
+    if (!existing) {
+      await tx.run(`
+        UPDATE sessions SET status = 'returned', ended_at = ?
+        WHERE participant_id = ? AND study_id = ? AND status = 'active'
+      `, [now, participantId, studyId]);
+      await tx.run(`
+        INSERT INTO sessions (session_id, participant_id, study_id, preview, started_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [sessionId, participantId, studyId, preview ? 1 : 0, now, now]);
+      await reclaimAssignments(tx, participantId, studyId);
+      return getSession(tx, sessionId);
+    }
+
+    if (existing.participant_id !== participantId || existing.study_id !== studyId) {
+      throw new SessionError(`Session ${sessionId} belongs to another participant or study`, 403);
+    }
+    if (existing.status === 'returned') {
+      throw new SessionError(`Session ${sessionId} was returned`, 410);
+    }
+
+    if (existing.status === 'timed_out') {
+      await tx.run(
+        'UPDATE sessions SET status = \'active\', ended_at = NULL, last_seen_at = ? WHERE session_id = ?',
+        [now, sessionId]
+      );
+      await reclaimAssignments(tx, participantId, studyId);
+    } else {
+      await tx.run('UPDATE sessions SET last_seen_at = ? WHERE session_id = ?', [now, sessionId]);
+    }
+    return getSession(tx, sessionId);
+  });
+}
+
+// Mark a session completed; later activity keeps it completed
+async function completeSession(conn, sessionId) {
+  await conn.run(`
+    UPDATE sessions SET status = 'completed', ended_at = COALESCE(ended_at, ?)
+    WHERE session_id = ? AND status <> 'returned'
+  `, [toSqlTimestamp(new Date()), sessionId]);
+}
+
+// End the given sessions as returned or timed_out and release their slices
+async function endSessions(conn, sessions, status) {
+  let released = 0;
+  for (const session of sessions) {
+    await conn.run(
+      'UPDATE sessions SET status = ?, ended_at = ? WHERE session_id = ?',
+      [status, toSqlTimestamp(new Date()), session.session_id]
+    );
+    released += await releaseAssignments(conn, session.participant_id, session.study_id);
+  }
+  return { sessions: sessions.length, released_assignments: released };
+}
+
+// Time out active sessions without activity for `timeoutMinutes`
+async function expireSessions(conn, timeoutMinutes = SESSION_TIMEOUT_MINUTES) {
+  const cutoff = toSqlTimestamp(new Date(Date.now() - timeoutMinutes * 60 * 1000));
+  const stale = await conn.query(
+    'SELECT session_id, participant_id, study_id FROM sessions WHERE status = \'active\' AND last_seen_at < ?',
+    [cutoff]
+  );
+  return endSessions(conn, stale, 'timed_out');
+}
+
+// Mark sessions returned on Prolific; `ids` may be session or participant IDs
+async function returnSessions(conn, studyId, ids) {
+  if (ids.length === 0) return { sessions: 0, released_assignments: 0 };
+  const placeholders = ids.map(() => '?').join(', ');
+  const sessions = await conn.query(`
+    SELECT session_id, participant_id, study_id FROM sessions
+    WHERE study_id = ? AND status IN ('active', 'timed_out')
+    AND (session_id IN (${placeholders}) OR participant_id IN (${placeholders}))
+  `, [studyId, ...ids, ...ids]);
+  return endSessions(conn, sessions, 'returned');
+}
+
+// Prolific's submission statuses, for reconciling with their export
+const PROLIFIC_STATUS = {
+  active: 'ACTIVE',
+  completed: 'AWAITING REVIEW',
+  returned: 'RETURNED',
+  timed_out: 'TIMED-OUT'
+};
+
+const PROLIFIC_HEADERS = [
+  'Submission id',
+  'Participant id',
+  'Status',
+  'Started at',
+  'Completed at',
+  'Time taken',
+  'Completion code'
+];
+
+// Sessions of a study as a CSV with the columns of Prolific's submission export
+async function prolificSubmissionsCsv(conn, studyId, { includePreview = false } = {}) {
+  const rows = await conn.query(`
+    SELECT s.session_id, s.participant_id, s.status, s.started_at, s.ended_at, p.completion_code
+    FROM sessions s
+    LEFT JOIN participants p ON p.participant_id = s.participant_id AND p.study_id = s.study_id
+    WHERE s.study_id = ? ${includePreview ? '' : 'AND s.preview = 0'}
+    ORDER BY s.started_at, s.session_id
+  `, [studyId]);
+
+  const lines = rows.map(row => {
+    const startedAt = toIsoTimestamp(row.started_at);
+    const completedAt = row.status === 'completed' && row.ended_at ? toIsoTimestamp(row.ended_at) : null;
+    const timeTaken = completedAt ? Math.round((Date.parse(completedAt) - Date.parse(startedAt)) / 1000) : null;
+    return [
+      row.session_id,
+      row.participant_id,
+      PROLIFIC_STATUS[row.status] || row.status,
+      startedAt,
+      completedAt,
+      timeTaken,
+      row.status === 'completed' ? row.completion_code : null
+    ].map(csvField).join(',');
+  });
+  return [PROLIFIC_HEADERS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  SESSION_TIMEOUT_MINUTES,
+  SESSION_STATUSES,
+  SessionError,
+  getSession,
+  touchSession,
+  releaseAssignments,
+  completeSession,
+  expireSessions,
+  returnSessions,
+  prolificSubmissionsCsv
+};
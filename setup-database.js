@@ -1,8 +1,13 @@
 // Setup script to load slice data into database
 const Database = require('./database');
+const { SliceFileError, getLoader, listLoaders, loadSliceFile } = require('./slice-loaders');
+const { DEFAULT_STUDY_ID } = require('./studies');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
-const db = new Database();
+// Set by setupDatabase(): the server passes its own connection, the CLI opens one
+let db = null;
 
 // Initialize database tables first
 async function initializeDatabase() {
@@ -15,95 +20,41 @@ async function initializeDatabase() {
   }
 }
 
-// Load your slice data from JSON file
-function loadSlicesFromFile() {
-  try {
-    // First try to load the new rebuilt conversation slices
-    if (fs.existsSync('Conv_slices_rebuilt_updated.json')) {
-      console.log('Loading conversation slices from Conv_slices_rebuilt_updated.json...');
-      const data = JSON.parse(fs.readFileSync('Conv_slices_rebuilt_updated.json', 'utf8'));
-      
-      if (data.slices) {
-        console.log(`Loaded ${data.slices.length} rebuilt conversation slices`);
-        return data.slices;
-      }
-    }
-
-    // Fallback to original rebuilt file
-    if (fs.existsSync('Conv_slices_rebuilt.json')) {
-      console.log('Loading conversation slices from Conv_slices_rebuilt.json...');
-      const data = JSON.parse(fs.readFileSync('Conv_slices_rebuilt.json', 'utf8'));
-      
-      if (data.slices) {
-        console.log(`Loaded ${data.slices.length} rebuilt conversation slices`);
-        return data.slices;
-      }
-    }
-
-    // Fallback to validation slices
-    if (fs.existsSync('validation_slices_content.json')) {
-      console.log('Loading validation slices from validation_slices_content.json...');
-      const contentData = JSON.parse(fs.readFileSync('validation_slices_content.json', 'utf8'));
-      const assessmentData = JSON.parse(fs.readFileSync('validation_slices_assessments.json', 'utf8'));
-      
-      if (contentData.slices && assessmentData.assessments) {
-        // Merge content and assessments by ID
-        const mergedSlices = contentData.slices.map(slice => {
-          const assessment = assessmentData.assessments.find(a => a.id === slice.id);
-          return {
-            ...slice,
-            hybrid_predictions: assessment ? assessment.hybrid_predictions : {},
-            validation_priority: assessment ? assessment.validation_priority : 0.5
-          };
-        });
-        
-        console.log(`Loaded ${mergedSlices.length} 1-turn validation slices with hybrid predictions`);
-        return mergedSlices;
-      }
-    }
+// Slice files looked for, in order, when no path is given
+const DEFAULT_SLICE_FILES = [
+  'Conv_slices_rebuilt_updated.json',
+  'Conv_slices_rebuilt.json',
+  'validation_slices_content.json',
+  'validation_slices.json',
+  'conv_slices_03.json',
+  'conversation_slices_2party.json'
+];
 
-    // Fallback to old format
-    if (fs.existsSync('validation_slices.json')) {
-      console.log('Loading validation slices from validation_slices.json...');
-      const data = JSON.parse(fs.readFileSync('validation_slices.json', 'utf8'));
-      if (data.slices) {
-        console.log(`Loaded ${data.slices.length} validation slices with hybrid predictions`);
-        return data.slices;
-      }
+// Load slices from the given files (or SLICES_FILE / the first default file found).
+// Returns { slices, source } with slices in the internal shape; throws SliceFileError
+// with per-slice details instead of falling back to sample data.
+function loadSlicesFromFile(filePaths = [], options = {}) {
+  let paths = filePaths.length > 0 ? filePaths : [];
+  if (paths.length === 0 && process.env.SLICES_FILE) {
+    paths = [process.env.SLICES_FILE];
+  }
+  if (paths.length === 0) {
+    const found = DEFAULT_SLICE_FILES.find(file => fs.existsSync(file));
+    if (!found) {
+      throw new SliceFileError(
+        `No slice file given and none of ${DEFAULT_SLICE_FILES.join(', ')} exist (use --sample for sample data)`
+      );
     }
+    paths = [found];
+  }
 
-    // Fallback to original slice files
-    const sliceFiles = [
-      'conv_slices_03.json',
-      'conversation_slices_2party.json'
-    ];
-
-    let allSlices = [];
-
-    sliceFiles.forEach(filename => {
-      if (fs.existsSync(filename)) {
-        console.log(`Loading slices from ${filename}...`);
-        const data = JSON.parse(fs.readFileSync(filename, 'utf8'));
-        
-        if (data.slices) {
-          allSlices = allSlices.concat(data.slices);
-        } else if (Array.isArray(data)) {
-          allSlices = allSlices.concat(data);
-        }
-      }
-    });
-
-    if (allSlices.length === 0) {
-      console.log('No slice files found. Creating sample data...');
-      allSlices = createSampleSlices();
-    }
+  let slices = [];
+  paths.forEach(filePath => {
+    console.log(`Loading slices from ${filePath}...`);
+    slices = slices.concat(loadSliceFile(filePath, options).slices);
+  });
 
-    return allSlices;
-  } catch (error) {
-    console.error('Error loading slice files:', error);
-    console.log('Creating sample data instead...');
-    return createSampleSlices();
-  }
+  return { slices, source: paths.map(filePath => path.basename(filePath)).join('+') };
 }
 
 // Create sample slices if no data files exist
@@ -157,135 +108,176 @@ function createSampleSlices() {
     });
   }
 
-  return sampleSlices;
+  return sampleSlices.map(slice => getLoader('slices-json').normalize(slice));
 }
 
-// Insert slices into database
-async function insertSlices(slices) {
-  try {
-    // Clear existing data
-    await db.run('DELETE FROM annotations');
-    await db.run('DELETE FROM assignments'); 
-    await db.run('DELETE FROM slices');
+// Convert a slice in the internal loader shape into a slices table row.
+// Slices of studies other than the default one get the study ID as prefix,
+// so files that reuse slice numbers cannot collide.
+function normalizeSlice(slice, i, studyId = DEFAULT_STUDY_ID) {
+  // Ensure unique slice IDs by using validation prefix
+  const baseId = `validation_${slice.id || (i + 1).toString().padStart(2, '0')}`;
+  const sliceId = studyId === DEFAULT_STUDY_ID ? baseId : `${studyId}:${baseId}`;
+  const conversationId = slice.conversation_id || `conv_${Math.floor(i/3) + 1}`;
 
-    console.log('Inserting slices into database...');
+  return {
+    id: sliceId,
+    conversation_id: conversationId,
+    context: slice.context,
+    focus_turns: JSON.stringify(slice.focus_turns),
+    hybrid_predictions: JSON.stringify(slice.hybrid_predictions || {}),
+    gold_labels: slice.gold_labels ? JSON.stringify(slice.gold_labels) : null,
+    validation_priority: slice.validation_priority
+  };
+}
 
-    // Insert new slices
-    for (let i = 0; i < slices.length; i++) {
-      const slice = slices[i];
-      
-      // Ensure unique slice IDs by using validation prefix
-      const sliceId = `validation_${slice.id || (i + 1).toString().padStart(2, '0')}`;
-      const conversationId = slice.conversation_id || `conv_${Math.floor(i/3) + 1}`;
-      
-      // Handle context - validation slices may have null context
-      let context = slice.context;
-      if (!context && slice.text) {
-        context = slice.text;
-      }
-      if (context === "None (start of recorded conversation)") {
-        context = null;
-      }
-      
-      // Handle focus_turns - new format has single focus_turn, old format has array
-      let focusTurns;
-      if (slice.focus_turn) {
-        // New 1-turn format
-        focusTurns = [slice.focus_turn];
-      } else if (slice.focus_turns && Array.isArray(slice.focus_turns)) {
-        // Old 3-turn format
-        focusTurns = slice.focus_turns;
-      } else if (slice.turns && Array.isArray(slice.turns)) {
-        // Another old format
-        focusTurns = slice.turns;
-      } else {
-        // Text format - parse it
-        focusTurns = parseTextIntoTurns(slice.text || '');
-      }
-      
-      // Handle hybrid predictions
-      let hybridPredictions = slice.hybrid_predictions || {};
-      if (slice.model_predictions) {
-        hybridPredictions = slice.model_predictions;
-      }
-      
-      await db.run(`
-        INSERT INTO slices (id, conversation_id, context, focus_turns, hybrid_predictions)
-        VALUES (?, ?, ?, ?, ?)
+// Hash of the normalized slice content, used to recognise re-imports of the same data
+function hashSlices(rows) {
+  return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+}
+
+// Import a study's slices without touching annotations or assignments.
+// Slices are upserted by id, tagged with a new dataset version, and slices of
+// the study missing from the file are retired rather than deleted.
+async function importSlices(slices, source, studyId = DEFAULT_STUDY_ID) {
+  const rows = slices.map((slice, i) => normalizeSlice(slice, i, studyId));
+  const contentHash = hashSlices(rows);
+
+  return db.transaction(async tx => {
+    await tx.lock('slice-import');
+
+    const study = await tx.get('SELECT id FROM studies WHERE id = ?', [studyId]);
+    if (!study) {
+      throw new Error(`Study "${studyId}" does not exist`);
+    }
+
+    const latest = await tx.get(
+      'SELECT id, content_hash FROM dataset_versions WHERE study_id = ? ORDER BY id DESC LIMIT 1',
+      [studyId]
+    );
+    if (latest && latest.content_hash === contentHash) {
+      console.log(`Slice data unchanged since dataset version ${latest.id}, nothing to import`);
+      return { datasetVersionId: latest.id, imported: 0, retired: 0, unchanged: true };
+    }
+
+    const version = await tx.insert(
+      'INSERT INTO dataset_versions (study_id, source_file, content_hash, slice_count) VALUES (?, ?, ?, ?)',
+      [studyId, source, contentHash, rows.length]
+    );
+    const datasetVersionId = version.lastID;
+
+    console.log(`Importing ${rows.length} slices into study ${studyId} as dataset version ${datasetVersionId}...`);
+
+    for (const row of rows) {
+      await tx.run(`
+        INSERT INTO slices (id, study_id, conversation_id, context, focus_turns, hybrid_predictions, gold_labels, validation_priority, dataset_version_id, retired_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)
+        ON CONFLICT (id) DO UPDATE SET
+          conversation_id = excluded.conversation_id,
+          context = excluded.context,
+          focus_turns = excluded.focus_turns,
+          hybrid_predictions = excluded.hybrid_predictions,
+          gold_labels = excluded.gold_labels,
+          validation_priority = excluded.validation_priority,
+          dataset_version_id = excluded.dataset_version_id,
+          retired_at = NULL
       `, [
-        sliceId,
-        conversationId,
-        context,
-        JSON.stringify(focusTurns),
-        JSON.stringify(hybridPredictions)
+        row.id,
+        studyId,
+        row.conversation_id,
+        row.context,
+        row.focus_turns,
+        row.hybrid_predictions,
+        row.gold_labels,
+        row.validation_priority,
+        datasetVersionId
       ]);
     }
 
-    console.log(`Inserted ${slices.length} slices into database`);
-    return slices.length;
-  } catch (error) {
-    console.error('Error inserting slices:', error);
-    throw error;
-  }
-}
-
-// Helper function to parse text format into structured turns
-function parseTextIntoTurns(text) {
-  const lines = text.split('\n\n');
-  const turns = [];
-  
-  lines.forEach(line => {
-    const colonIndex = line.indexOf(':');
-    if (colonIndex > 0) {
-      const speaker = line.substring(0, colonIndex).trim();
-      const utterance = line.substring(colonIndex + 1).trim();
-      turns.push({
-        speaker: speaker,
-        text: utterance
-      });
+    // Slices no longer in the file stay in the database (with their annotations) but are retired
+    const active = await tx.query('SELECT id FROM slices WHERE retired_at IS NULL AND study_id = ?', [studyId]);
+    const importedIds = new Set(rows.map(row => row.id));
+    const retiredIds = active.map(row => row.id).filter(id => !importedIds.has(id));
+    for (const id of retiredIds) {
+      await tx.run('UPDATE slices SET retired_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
     }
+
+    console.log(`Imported ${rows.length} slices, retired ${retiredIds.length}`);
+    return { datasetVersionId, imported: rows.length, retired: retiredIds.length, unchanged: false };
   });
-  
-  return turns;
 }
 
-// Main setup function
-async function setupDatabase() {
+// Main setup function.
+// options: { files: [paths], format, assessments, sample, study }
+async function setupDatabase(database, options = {}) {
+  db = database || new Database();
+
   try {
     console.log('Setting up validation database...');
     console.log('Database type:', db.type);
     
     await initializeDatabase();
     
-    const slices = loadSlicesFromFile();
-    console.log(`Loaded ${slices.length} slices`);
+    const { slices, source } = options.sample ?
+      { slices: createSampleSlices(), source: 'sample' } :
+      loadSlicesFromFile(options.files || [], options);
+    console.log(`Loaded ${slices.length} slices from ${source}`);
     
-    const insertedCount = await insertSlices(slices);
-    console.log(`Inserted ${insertedCount} slices into database`);
+    const studyId = options.study || DEFAULT_STUDY_ID;
+    const result = await importSlices(slices, source, studyId);
     
     // Verify setup
-    const result = await db.get('SELECT COUNT(*) as count FROM slices');
-    console.log(`Database now contains ${result.count} slices`);
+    const count = await db.get('SELECT COUNT(*) as count FROM slices WHERE retired_at IS NULL AND study_id = ?', [studyId]);
+    console.log(`Study ${studyId} now contains ${count.count} active slices`);
     
     console.log('Database setup complete!');
+    return result;
     
   } catch (error) {
-    console.error('Setup failed:', error);
-    console.error('Error details:', error.message);
-    console.error('Stack trace:', error.stack);
-    
-    // Don't exit on error in production - let the app start and show the error
-    if (process.env.NODE_ENV === 'production') {
-      console.error('Continuing despite setup error in production...');
+    if (error instanceof SliceFileError) {
+      // The message already lists every invalid slice
+      console.error('Setup failed:', error.message);
     } else {
-      process.exit(1);
+      console.error('Setup failed:', error);
+      console.error('Error details:', error.message);
+      console.error('Stack trace:', error.stack);
     }
+    throw error;
   }
 }
 
+// Parse command line arguments: [files...] [--format=name] [--assessments=path] [--study=id] [--sample]
+function parseArgs(argv) {
+  const options = { files: [] };
+  argv.forEach(arg => {
+    if (arg === '--sample') {
+      options.sample = true;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.substring('--format='.length);
+    } else if (arg.startsWith('--study=')) {
+      options.study = arg.substring('--study='.length);
+    } else if (arg.startsWith('--assessments=')) {
+      options.assessments = arg.substring('--assessments='.length);
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      options.files.push(arg);
+    }
+  });
+  return options;
+}
+
 // Run setup if called directly
 if (require.main === module) {
-  setupDatabase();
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log('Usage: node setup-database.js [file...] [--format=name] [--assessments=path] [--study=id] [--sample]');
+    console.log(`Formats: ${listLoaders().join(', ')}`);
+  } else {
+    setupDatabase(null, options)
+      .catch(() => { process.exitCode = 1; })
+      .finally(() => db.close());
+  }
 }
 
-module.exports = { setupDatabase, loadSlicesFromFile };
\ No newline at end of file
+module.exports = { setupDatabase, loadSlicesFromFile, importSlices };
@@ -0,0 +1,49 @@
+// Helpers shared by the annotation sinks
+
+// submitted_at is a Date from PostgreSQL and a UTC 'YYYY-MM-DD HH:MM:SS' string from SQLite
+function toIsoTimestamp(value) {
+  if (!value) return new Date().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return new Date(`${value.replace(' ', 'T')}Z`).toISOString();
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Annotation row from the database as the JSON record sinks deliver
+function serializeAnnotation(row) {
+  return {
+    annotation_id: row.id,
+    participant_id: row.participant_id,
+    slice_id: row.slice_id,
+    interaction_types: parseJson(row.interaction_types, []),
+    curiosity_types: parseJson(row.curiosity_types, []),
+    labels: parseJson(row.labels, null),
+    taxonomy_version_id: row.taxonomy_version_id === undefined ? null : row.taxonomy_version_id,
+    // Re-submitting a slice delivers the annotation again with a higher revision
+    revision: row.revision === undefined ? 1 : Number(row.revision),
+    routing_validation: parseJson(row.routing_validation, {}),
+    annotation_time_seconds: row.annotation_time_seconds,
+    submitted_at: toIsoTimestamp(row.submitted_at)
+  };
+}
+
+// Error carrying the HTTP status of a failed delivery, so the worker can
+// recognise rate limits (429) and honour Retry-After
+class DeliveryError extends Error {
+  constructor(message, status, retryAfterSeconds = null) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.code = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+module.exports = { toIsoTimestamp, parseJson, serializeAnnotation, DeliveryError };
@@ -0,0 +1,28 @@
+// Google Sheets sink: one appended row per annotation
+class GoogleSheetsSink {
+  constructor(sheetsService) {
+    this.name = 'google_sheets';
+    this.sheetsService = sheetsService;
+    // Sheets allows 60 write requests per minute per user; stay below it
+    this.requestsPerMinute = parseInt(process.env.SHEETS_REQUESTS_PER_MINUTE || '50', 10);
+  }
+
+  isConfigured() {
+    return this.sheetsService.isConfigured();
+  }
+
+  async deliver(rows) {
+    await this.sheetsService.appendAnnotations(rows);
+  }
+
+  // Used by resync: annotation IDs already in the sheet, and a full rewrite
+  async getDeliveredIds() {
+    return this.sheetsService.getSyncedAnnotationIds();
+  }
+
+  async rewrite(rows) {
+    await this.sheetsService.rewriteAnnotations(rows);
+  }
+}
+
+module.exports = GoogleSheetsSink;
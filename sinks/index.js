@@ -0,0 +1,38 @@
+// Annotation sinks: destinations that stored annotations are delivered to.
+// A sink has { name, requestsPerMinute, isConfigured(), deliver(rows) } and may add
+// getDeliveredIds() and rewrite(rows) to support resyncing from the database.
+// Sinks are chosen with ANNOTATION_SINKS (comma separated, default google_sheets).
+const GoogleSheetsSink = require('./google-sheets');
+const JsonlFileSink = require('./jsonl-file');
+const { WebhookSink } = require('./webhook');
+const S3Sink = require('./s3');
+
+const SINK_TYPES = {
+  google_sheets: ({ sheetsService }) => new GoogleSheetsSink(sheetsService),
+  jsonl: () => new JsonlFileSink(),
+  webhook: () => new WebhookSink(),
+  s3: () => new S3Sink()
+};
+
+function listSinkTypes() {
+  return Object.keys(SINK_TYPES);
+}
+
+function createSinks(names = process.env.ANNOTATION_SINKS || 'google_sheets', dependencies = {}) {
+  return names
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (!SINK_TYPES[name]) {
+        throw new Error(`Unknown annotation sink "${name}" (available: ${listSinkTypes().join(', ')})`);
+      }
+      const sink = SINK_TYPES[name](dependencies);
+      if (!sink.isConfigured()) {
+        console.log(`Annotation sink "${name}" is not configured; deliveries will wait until it is`);
+      }
+      return sink;
+    });
+}
+
+module.exports = { createSinks, listSinkTypes };
@@ -0,0 +1,25 @@
+// Append-only JSONL file sink: one JSON line per annotation.
+// A retried batch may append a line twice; annotation_id identifies duplicates.
+const fs = require('fs');
+const path = require('path');
+const { serializeAnnotation } = require('./common');
+
+class JsonlFileSink {
+  constructor(options = {}) {
+    this.name = 'jsonl';
+    this.filePath = options.filePath || process.env.ANNOTATIONS_JSONL_PATH || 'annotations.jsonl';
+    this.requestsPerMinute = Infinity;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async deliver(rows) {
+    await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    const lines = rows.map(row => `${JSON.stringify(serializeAnnotation(row))}\n`).join('');
+    await fs.promises.appendFile(this.filePath, lines, 'utf8');
+  }
+}
+
+module.exports = JsonlFileSink;
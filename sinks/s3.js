@@ -0,0 +1,49 @@
+// S3-compatible object storage sink: one JSON object per annotation at
+// <prefix><annotation_id>.json, so retries overwrite instead of duplicating.
+// S3_ENDPOINT points it at MinIO or another S3-compatible service.
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { serializeAnnotation, DeliveryError } = require('./common');
+
+class S3Sink {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.prefix = options.prefix !== undefined ? options.prefix : (process.env.S3_PREFIX || 'annotations/');
+    this.requestsPerMinute = parseInt(process.env.S3_REQUESTS_PER_MINUTE || '600', 10);
+
+    const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    this.client = new S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      // Custom endpoints (MinIO etc.) usually don't support bucket subdomains
+      forcePathStyle: Boolean(endpoint),
+      // Older S3-compatible servers reject the SDK's default CRC checksums
+      requestChecksumCalculation: endpoint ? 'WHEN_REQUIRED' : 'WHEN_SUPPORTED',
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.bucket);
+  }
+
+  async deliver(rows) {
+    for (const row of rows) {
+      try {
+        await this.client.send(new PutObjectCommand({
+          Bucket: this.bucket,
+          Key: `${this.prefix}${row.id}.json`,
+          Body: JSON.stringify(serializeAnnotation(row)),
+          ContentType: 'application/json'
+        }));
+      } catch (error) {
+        const status = error.$metadata && error.$metadata.httpStatusCode;
+        throw new DeliveryError(`S3 upload of annotation ${row.id} failed: ${error.message}`, status);
+      }
+    }
+  }
+}
+
+module.exports = S3Sink;
@@ -0,0 +1,49 @@
+// Webhook sink: POSTs { annotations: [...] } as JSON, signed with HMAC-SHA256.
+// Receivers verify X-Signature = "sha256=" + hex(HMAC(secret, `${X-Signature-Timestamp}.${body}`)).
+const crypto = require('crypto');
+const { serializeAnnotation, DeliveryError } = require('./common');
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+class WebhookSink {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.url = options.url || process.env.WEBHOOK_URL;
+    this.secret = options.secret || process.env.WEBHOOK_SECRET;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.requestsPerMinute = parseInt(process.env.WEBHOOK_REQUESTS_PER_MINUTE || '120', 10);
+  }
+
+  isConfigured() {
+    return Boolean(this.url && this.secret);
+  }
+
+  async deliver(rows) {
+    const body = JSON.stringify({ annotations: rows.map(serializeAnnotation) });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Signature-Timestamp': timestamp,
+        'X-Signature': signPayload(this.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      throw new DeliveryError(
+        `Webhook responded with HTTP ${response.status}`,
+        response.status,
+        isNaN(retryAfter) ? null : retryAfter
+      );
+    }
+  }
+}
+
+module.exports = { WebhookSink, signPayload };
@@ -0,0 +1,118 @@
+// Shared pieces for slice-file loaders: JSON Schemas and conversion to the internal slice shape
+const { normalizeGoldLabels } = require('../gold-standard');
+
+// Marker some exports use for "no context"
+const NO_CONTEXT = 'None (start of recorded conversation)';
+
+const turnSchema = {
+  type: 'object',
+  required: ['speaker', 'text'],
+  properties: {
+    speaker: { type: 'string' },
+    text: { type: 'string' },
+    turn: { type: ['integer', 'string'] }
+  }
+};
+
+const labelListSchema = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string' },
+      { type: 'object', required: ['type'], properties: { type: { type: 'string' } } }
+    ]
+  }
+};
+
+// One slice as found in the JSON slice files (any of the historical layouts)
+const sliceRecordSchema = {
+  type: 'object',
+  properties: {
+    id: { type: ['integer', 'string'] },
+    conversation_id: { type: 'string' },
+    context: { type: ['string', 'null'] },
+    text: { type: 'string' },
+    focus_turn: turnSchema,
+    focus_turns: { type: 'array', minItems: 1, items: turnSchema },
+    turns: { type: 'array', minItems: 1, items: turnSchema },
+    interaction_types: labelListSchema,
+    curiosity_types: labelListSchema,
+    hybrid_predictions: { type: 'object' },
+    model_predictions: { type: 'object' },
+    validation_priority: { type: 'number' }
+  },
+  anyOf: [
+    { required: ['focus_turn'] },
+    { required: ['focus_turns'] },
+    { required: ['turns'] },
+    { required: ['text'] }
+  ]
+};
+
+// Helper function to parse text format into structured turns
+function parseTextIntoTurns(text) {
+  const lines = text.split('\n\n');
+  const turns = [];
+  
+  lines.forEach(line => {
+    const colonIndex = line.indexOf(':');
+    if (colonIndex > 0) {
+      const speaker = line.substring(0, colonIndex).trim();
+      const utterance = line.substring(colonIndex + 1).trim();
+      turns.push({
+        speaker: speaker,
+        text: utterance
+      });
+    }
+  });
+  
+  return turns;
+}
+
+// Convert a slice record (see sliceRecordSchema) to the internal slice shape:
+// { id, conversation_id, context, focus_turns, hybrid_predictions, gold_labels, validation_priority }
+function fromSliceRecord(slice) {
+  // Handle context - validation slices may have null context
+  let context = slice.context;
+  if (!context && slice.text) {
+    context = slice.text;
+  }
+  if (!context || context === NO_CONTEXT) {
+    context = null;
+  }
+  
+  // Handle focus_turns - new format has single focus_turn, old format has array
+  let focusTurns;
+  if (slice.focus_turn) {
+    // New 1-turn format
+    focusTurns = [slice.focus_turn];
+  } else if (slice.focus_turns) {
+    // Old 3-turn format
+    focusTurns = slice.focus_turns;
+  } else if (slice.turns) {
+    // Another old format
+    focusTurns = slice.turns;
+  } else {
+    // Text format - parse it
+    focusTurns = parseTextIntoTurns(slice.text || '');
+  }
+
+  return {
+    id: slice.id,
+    conversation_id: slice.conversation_id || null,
+    context,
+    focus_turns: focusTurns,
+    hybrid_predictions: slice.model_predictions || slice.hybrid_predictions || {},
+    // Expert labels from the slice file become gold labels for quality control
+    gold_labels: normalizeGoldLabels(slice),
+    validation_priority: typeof slice.validation_priority === 'number' ? slice.validation_priority : null
+  };
+}
+
+module.exports = {
+  NO_CONTEXT,
+  turnSchema,
+  sliceRecordSchema,
+  parseTextIntoTurns,
+  fromSliceRecord
+};
@@ -0,0 +1,128 @@
+// CSV transcripts: one row per conversation turn. Each turn (or each turn with
+// focus=1 when a focus column is present) becomes a slice, with the preceding
+// turns of the same conversation as context.
+const CONTEXT_TURNS = parseInt(process.env.CSV_CONTEXT_TURNS || '2', 10);
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+function isFocus(value) {
+  return ['1', 'true', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+}
+
+module.exports = {
+  name: 'csv-transcript',
+  description: 'CSV transcript with conversation_id, speaker and text columns (optional turn, slice_id, focus)',
+
+  detect(filePath) {
+    return /\.csv$/i.test(filePath);
+  },
+
+  // Rows become { conversation_id, turn, speaker, text, slice_id?, focus? } records
+  read(filePath, content) {
+    const [header, ...rows] = parseCsv(content.replace(/^﻿/, ''));
+    if (!header) {
+      throw new Error(`${filePath}: empty CSV file`);
+    }
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    const records = rows.map(values => {
+      const record = {};
+      columns.forEach((column, index) => {
+        if (values[index] !== undefined && values[index] !== '') record[column] = values[index];
+      });
+      // Keep the focus column visible even when empty, so "no focus" is not read as "all focus"
+      if (columns.includes('focus') && record.focus === undefined) record.focus = '0';
+      return record;
+    });
+
+    return records;
+  },
+
+  schema: {
+    type: 'object',
+    required: ['conversation_id', 'speaker', 'text'],
+    properties: {
+      conversation_id: { type: 'string', minLength: 1 },
+      turn: { type: 'string', pattern: '^\\d+$' },
+      speaker: { type: 'string', minLength: 1 },
+      text: { type: 'string', minLength: 1 },
+      slice_id: { type: 'string' },
+      focus: { type: 'string' }
+    }
+  },
+
+  // Header is line 1, so record i is on line i + 2
+  describeIndex(index) {
+    return `row ${index} (line ${index + 2})`;
+  },
+
+  // Build slices from the whole transcript at once, since context spans rows
+  normalizeAll(records) {
+    const hasFocusColumn = records.some(record => record.focus !== undefined);
+    const previousTurns = new Map();
+    const slices = [];
+
+    records.forEach(record => {
+      const history = previousTurns.get(record.conversation_id) || [];
+      const turnNumber = record.turn !== undefined ? parseInt(record.turn, 10) : history.length + 1;
+      const turn = { speaker: record.speaker, text: record.text, turn: turnNumber };
+
+      if (!hasFocusColumn || isFocus(record.focus)) {
+        const context = history.slice(-CONTEXT_TURNS).map(t => `${t.speaker}: ${t.text}`).join('\n\n');
+        slices.push({
+          id: record.slice_id || `${record.conversation_id}_${turnNumber}`,
+          conversation_id: record.conversation_id,
+          context: context || null,
+          focus_turns: [turn],
+          hybrid_predictions: {},
+          gold_labels: null,
+          validation_priority: null
+        });
+      }
+
+      history.push(turn);
+      previousTurns.set(record.conversation_id, history);
+    });
+
+    return slices;
+  }
+};
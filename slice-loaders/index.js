@@ -0,0 +1,124 @@
+// Slice-file loader registry.
+// A loader declares how to recognise and read a file format, a JSON Schema that
+// every record must satisfy, and a normalizer to the internal slice shape:
+//   { name, description, detect(filePath), read(filePath, content, options),
+//     schema, normalize(record, index) | normalizeAll(records), describeIndex?(index) }
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const loaders = [];
+
+// Raised when a slice file cannot be read or fails schema validation.
+// `errors` lists every problem as { index, location, path, message }.
+class SliceFileError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SliceFileError';
+    this.errors = errors;
+  }
+}
+
+function registerLoader(loader) {
+  if (loaders.some(existing => existing.name === loader.name)) {
+    throw new Error(`Slice loader "${loader.name}" is already registered`);
+  }
+  loader.validate = ajv.compile(loader.schema);
+  loaders.push(loader);
+}
+
+function getLoader(name) {
+  const loader = loaders.find(l => l.name === name);
+  if (!loader) {
+    throw new SliceFileError(`Unknown slice format "${name}" (available: ${listLoaders().join(', ')})`);
+  }
+  return loader;
+}
+
+function listLoaders() {
+  return loaders.map(loader => loader.name);
+}
+
+// First registered loader that recognises the file
+function detectLoader(filePath) {
+  const loader = loaders.find(l => l.detect(filePath));
+  if (!loader) {
+    throw new SliceFileError(`No slice loader recognises ${filePath} (use --format=<${listLoaders().join('|')}>)`);
+  }
+  return loader;
+}
+
+// Turn ajv errors into readable messages; anyOf branches collapse into one message
+function formatSchemaErrors(errors) {
+  const messages = [];
+  errors.forEach(error => {
+    if (error.schemaPath.startsWith('#/anyOf/')) return;
+    const location = error.instancePath || '/';
+    if (error.keyword === 'anyOf' && error.instancePath === '') {
+      messages.push({ path: location, message: 'must contain one of focus_turn, focus_turns, turns or text' });
+    } else if (error.keyword === 'required') {
+      messages.push({ path: location, message: `missing required field "${error.params.missingProperty}"` });
+    } else {
+      messages.push({ path: location, message: error.message });
+    }
+  });
+  return messages;
+}
+
+// Read, validate and normalize a slice file. Throws SliceFileError listing every invalid record.
+function loadSliceFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new SliceFileError(`Slice file not found: ${filePath}`);
+  }
+
+  const loader = options.format ? getLoader(options.format) : detectLoader(filePath);
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  let records;
+  try {
+    records = loader.read(filePath, content, options);
+  } catch (error) {
+    throw new SliceFileError(`Could not read ${filePath} as ${loader.name}: ${error.message}`);
+  }
+
+  const describe = loader.describeIndex || (index => `slice ${index}`);
+  const errors = [];
+  records.forEach((record, index) => {
+    if (loader.validate(record)) return;
+    formatSchemaErrors(loader.validate.errors).forEach(error => {
+      errors.push({ index, location: describe(index), ...error });
+    });
+  });
+
+  if (errors.length > 0) {
+    const details = errors.map(error => `  ${error.location} ${error.path}: ${error.message}`).join('\n');
+    throw new SliceFileError(
+      `${path.basename(filePath)} failed ${loader.name} validation (${errors.length} errors):\n${details}`,
+      errors
+    );
+  }
+
+  const slices = loader.normalizeAll ?
+    loader.normalizeAll(records) :
+    records.map((record, index) => loader.normalize(record, index));
+
+  console.log(`Loaded ${slices.length} slices from ${filePath} (${loader.name})`);
+  return { slices, format: loader.name };
+}
+
+// Built-in formats, most specific first
+registerLoader(require('./validation-content'));
+registerLoader(require('./slices-json'));
+registerLoader(require('./jsonl'));
+registerLoader(require('./csv-transcript'));
+
+module.exports = {
+  SliceFileError,
+  registerLoader,
+  getLoader,
+  listLoaders,
+  detectLoader,
+  loadSliceFile
+};
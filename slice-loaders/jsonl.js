@@ -0,0 +1,28 @@
+// JSON Lines: one slice object per line, same fields as the JSON slice files
+const { sliceRecordSchema, fromSliceRecord } = require('./common');
+
+module.exports = {
+  name: 'jsonl',
+  description: 'One slice JSON object per line',
+
+  detect(filePath) {
+    return /\.(jsonl|ndjson)$/i.test(filePath);
+  },
+
+  read(filePath, content) {
+    const records = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`${filePath}:${index + 1}: invalid JSON (${error.message})`);
+      }
+    });
+    return records;
+  },
+
+  schema: sliceRecordSchema,
+
+  normalize: fromSliceRecord
+};
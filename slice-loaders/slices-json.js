@@ -0,0 +1,23 @@
+// JSON slice files: { "slices": [...] } or a bare array of slices
+// (Conv_slices_rebuilt*.json, validation_slices.json, conv_slices_03.json, ...)
+const { sliceRecordSchema, fromSliceRecord } = require('./common');
+
+module.exports = {
+  name: 'slices-json',
+  description: 'JSON object with a "slices" array, or a bare JSON array of slices',
+
+  detect(filePath) {
+    return /\.json$/i.test(filePath);
+  },
+
+  read(filePath, content) {
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.slices)) return data.slices;
+    throw new Error(`${filePath}: expected a "slices" array or a top-level array`);
+  },
+
+  schema: sliceRecordSchema,
+
+  normalize: fromSliceRecord
+};
@@ -0,0 +1,47 @@
+// validation_slices_content.json plus its validation_slices_assessments.json companion,
+// merged by slice id (the assessments carry hybrid predictions and priority)
+const fs = require('fs');
+const { sliceRecordSchema, fromSliceRecord } = require('./common');
+
+function assessmentsPathFor(filePath) {
+  return filePath.replace(/_content\.json$/i, '_assessments.json');
+}
+
+module.exports = {
+  name: 'validation-content',
+  description: 'Slice content file merged with a *_assessments.json file (--assessments to override)',
+
+  detect(filePath) {
+    return /_content\.json$/i.test(filePath) && fs.existsSync(assessmentsPathFor(filePath));
+  },
+
+  read(filePath, content, options = {}) {
+    const contentData = JSON.parse(content);
+    const assessmentsPath = options.assessments || assessmentsPathFor(filePath);
+    const assessmentData = JSON.parse(fs.readFileSync(assessmentsPath, 'utf8'));
+
+    if (!contentData || !Array.isArray(contentData.slices)) {
+      throw new Error(`${filePath}: expected a "slices" array`);
+    }
+    if (!assessmentData || !Array.isArray(assessmentData.assessments)) {
+      throw new Error(`${assessmentsPath}: expected an "assessments" array`);
+    }
+
+    // Merge content and assessments by ID
+    return contentData.slices.map(slice => {
+      const assessment = assessmentData.assessments.find(a => a.id === slice.id);
+      return {
+        ...slice,
+        hybrid_predictions: assessment ? assessment.hybrid_predictions : {},
+        validation_priority: assessment ? assessment.validation_priority : 0.5
+      };
+    });
+  },
+
+  schema: {
+    ...sliceRecordSchema,
+    required: ['id']
+  },
+
+  normalize: fromSliceRecord
+};
@@ -0,0 +1,132 @@
+// Studies: separate Prolific studies run side by side, each with its own slice
+// pool, per-participant quota, taxonomy, training set, completion code and status
+const { GOLD_SLICES_PER_PARTICIPANT } = require('./gold-standard');
+const { DEFAULT_TRAINING_FILE, loadTrainingSet, publicTrainingSet } = require('./training');
+
+// Study used when a request names none (links from before studies existed)
+const DEFAULT_STUDY_ID = process.env.DEFAULT_STUDY_ID || 'default';
+
+const STUDY_STATUSES = ['open', 'closed'];
+
+// Prolific study IDs are 24 hex characters; short names are fine for local studies
+const STUDY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Fields an admin may set, with their checks
+const STUDY_FIELDS = {
+  name: value => typeof value === 'string' && value.trim().length > 0,
+  status: value => STUDY_STATUSES.includes(value),
+  slices_per_participant: value => Number.isInteger(value) && value > 0,
+  gold_slices_per_participant: value => value === null || (Number.isInteger(value) && value >= 0),
+  taxonomy_file: value => value === null || typeof value === 'string',
+  training_file: value => value === null || typeof value === 'string',
+  completion_code: value => value === null || (typeof value === 'string' && value.trim().length > 0),
+  // Ask participants to judge the model's predictions after each blind annotation
+  routing_validation: value => typeof value === 'boolean'
+};
+
+// Column value for a setting; booleans are stored as 0/1
+function columnValue(value) {
+  return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+}
+
+// Returns [{ field, message }] for invalid or unknown fields
+function validateStudyInput(input, { creating = false } = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return [{ field: null, message: 'Study settings must be an object' }];
+  }
+  if (creating) {
+    if (!STUDY_ID_PATTERN.test(input.id || '')) {
+      errors.push({ field: 'id', message: 'must be 1-64 letters, digits, "-" or "_"' });
+    }
+    if (!input.name) {
+      errors.push({ field: 'name', message: 'is required' });
+    }
+  }
+  Object.keys(input).forEach(field => {
+    if (field === 'id' && creating) return;
+    if (!STUDY_FIELDS[field]) {
+      errors.push({ field, message: 'is not a study setting' });
+    } else if (!STUDY_FIELDS[field](input[field])) {
+      errors.push({ field, message: 'has an invalid value' });
+    }
+  });
+  return errors;
+}
+
+async function getStudy(conn, studyId) {
+  return conn.get('SELECT * FROM studies WHERE id = ?', [studyId]);
+}
+
+// Every study with its slice, participant and annotation counts
+async function listStudies(conn) {
+  return conn.query(`
+    SELECT
+      st.*,
+      (SELECT COUNT(*) FROM slices s WHERE s.study_id = st.id AND s.retired_at IS NULL) as active_slices,
+      (SELECT COUNT(*) FROM participants p WHERE p.study_id = st.id) as participants,
+      (SELECT COUNT(*) FROM annotations a WHERE a.study_id = st.id) as annotations
+    FROM studies st
+    ORDER BY st.created_at, st.id
+  `);
+}
+
+async function createStudy(conn, input) {
+  const fields = Object.keys(STUDY_FIELDS).filter(field => input[field] !== undefined);
+  await conn.run(
+    `INSERT INTO studies (id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+    [input.id, ...fields.map(field => columnValue(input[field]))]
+  );
+  return getStudy(conn, input.id);
+}
+
+async function updateStudy(conn, studyId, changes) {
+  const fields = Object.keys(STUDY_FIELDS).filter(field => changes[field] !== undefined);
+  if (fields.length > 0) {
+    await conn.run(
+      `UPDATE studies SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => columnValue(changes[field])), studyId]
+    );
+  }
+  if (changes.status === 'closed') {
+    await conn.run('UPDATE studies SET closed_at = COALESCE(closed_at, CURRENT_TIMESTAMP) WHERE id = ?', [studyId]);
+  } else if (changes.status === 'open') {
+    await conn.run('UPDATE studies SET closed_at = NULL WHERE id = ?', [studyId]);
+  }
+  return getStudy(conn, studyId);
+}
+
+// Assignment sizes for a study; gold checks fall back to GOLD_SLICES_PER_PARTICIPANT
+function assignmentQuota(study) {
+  return {
+    count: Number(study.slices_per_participant),
+    goldCount: study.gold_slices_per_participant === null || study.gold_slices_per_participant === undefined ?
+      GOLD_SLICES_PER_PARTICIPANT :
+      Number(study.gold_slices_per_participant)
+  };
+}
+
+// What the participant page needs; the completion code is only given out on completion
+function publicStudyConfig(study, taxonomy) {
+  return {
+    id: study.id,
+    name: study.name,
+    status: study.status,
+    slices_per_participant: Number(study.slices_per_participant),
+    routing_validation: Boolean(Number(study.routing_validation)),
+    taxonomy,
+    training: publicTrainingSet(loadTrainingSet(study.training_file || DEFAULT_TRAINING_FILE))
+  };
+}
+
+module.exports = {
+  DEFAULT_STUDY_ID,
+  STUDY_STATUSES,
+  validateStudyInput,
+  getStudy,
+  listStudies,
+  createStudy,
+  updateStudy,
+  assignmentQuota,
+  publicStudyConfig
+};
@@ -0,0 +1,276 @@
+// Annotation taxonomy: the categories, labels and confidence scale participants
+// annotate with. Loaded from a JSON config (TAXONOMY_FILE, default
+// taxonomies/default.json) and registered as a version in taxonomy_versions.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, 'taxonomies', 'default.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const taxonomySchema = {
+  type: 'object',
+  required: ['id', 'version', 'categories', 'confidence_scale'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    version: { type: ['string', 'integer'] },
+    name: { type: 'string' },
+    confidence_scale: {
+      type: 'object',
+      required: ['levels', 'default'],
+      properties: {
+        levels: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['value', 'label', 'numeric'],
+            properties: {
+              value: { type: 'string', minLength: 1 },
+              label: { type: 'string' },
+              numeric: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          }
+        },
+        default: { type: 'string' }
+      }
+    },
+    categories: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['key', 'label', 'labels'],
+        properties: {
+          key: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+          label: { type: 'string' },
+          question: { type: 'string' },
+          instructions: { type: 'string' },
+          selection: { enum: ['single', 'multiple'] },
+          confidence: { type: 'boolean' },
+          required: { type: 'boolean' },
+          labels: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['value', 'label'],
+              properties: {
+                value: { type: 'string', minLength: 1 },
+                label: { type: 'string' },
+                description: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const validateSchema = ajv.compile(taxonomySchema);
+
+// Raised for an invalid taxonomy config or labels that do not fit the taxonomy.
+// `errors` lists every problem as { path, message }.
+class TaxonomyError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'TaxonomyError';
+    this.errors = errors;
+  }
+}
+
+function duplicates(values) {
+  return values.filter((value, index) => values.indexOf(value) !== index);
+}
+
+// Schema check plus the rules JSON Schema cannot express
+function validateTaxonomy(config) {
+  if (!validateSchema(config)) {
+    return validateSchema.errors.map(error => ({ path: error.instancePath || '/', message: error.message }));
+  }
+
+  const errors = [];
+  const levels = config.confidence_scale.levels.map(level => level.value);
+  if (!levels.includes(config.confidence_scale.default)) {
+    errors.push({ path: '/confidence_scale/default', message: `must be one of ${levels.join(', ')}` });
+  }
+  duplicates(levels).forEach(value => {
+    errors.push({ path: '/confidence_scale/levels', message: `duplicate level "${value}"` });
+  });
+  duplicates(config.categories.map(category => category.key)).forEach(key => {
+    errors.push({ path: '/categories', message: `duplicate category "${key}"` });
+  });
+  config.categories.forEach((category, index) => {
+    duplicates(category.labels.map(label => label.value)).forEach(value => {
+      errors.push({ path: `/categories/${index}/labels`, message: `duplicate label "${value}"` });
+    });
+  });
+  return errors;
+}
+
+// Fill in optional fields so clients and validation can rely on them
+function withDefaults(config) {
+  return {
+    ...config,
+    version: String(config.version),
+    categories: config.categories.map(category => ({
+      question: category.label,
+      instructions: '',
+      selection: 'multiple',
+      confidence: true,
+      required: false,
+      ...category
+    }))
+  };
+}
+
+function loadTaxonomyFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new TaxonomyError(`Taxonomy file not found: ${filePath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new TaxonomyError(`Could not parse ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateTaxonomy(config);
+  if (errors.length > 0) {
+    const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+    throw new TaxonomyError(`${path.basename(filePath)} is not a valid taxonomy:\n${details}`, errors);
+  }
+  return withDefaults(config);
+}
+
+// Check submitted labels ({ category: [label, ...] }) against the taxonomy.
+// A label is a value string or { type, categorical }. Returns the labels in the
+// stored shape ({ type, confidence, categorical }); throws TaxonomyError listing
+// every problem.
+function normalizeLabels(taxonomy, labels) {
+  const errors = [];
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new TaxonomyError('Labels must be an object keyed by category', [
+      { path: '/labels', message: 'must be an object' }
+    ]);
+  }
+
+  Object.keys(labels).forEach(key => {
+    if (!taxonomy.categories.some(category => category.key === key)) {
+      errors.push({ path: `/labels/${key}`, message: `unknown category "${key}"` });
+    }
+  });
+
+  const scale = taxonomy.confidence_scale;
+  const normalized = {};
+  taxonomy.categories.forEach(category => {
+    const entries = labels[category.key] === undefined || labels[category.key] === null ? [] : labels[category.key];
+    const location = `/labels/${category.key}`;
+    if (!Array.isArray(entries)) {
+      errors.push({ path: location, message: 'must be an array' });
+      return;
+    }
+
+    const allowed = category.labels.map(label => label.value);
+    const seen = new Set();
+    normalized[category.key] = [];
+    entries.forEach((entry, index) => {
+      const type = typeof entry === 'string' ? entry : entry && entry.type;
+      if (!allowed.includes(type)) {
+        errors.push({ path: `${location}/${index}`, message: `unknown label "${type}" (allowed: ${allowed.join(', ')})` });
+        return;
+      }
+      if (seen.has(type)) {
+        errors.push({ path: `${location}/${index}`, message: `duplicate label "${type}"` });
+        return;
+      }
+      seen.add(type);
+
+      const categorical = (typeof entry === 'object' && entry.categorical) || scale.default;
+      const level = scale.levels.find(l => l.value === categorical);
+      if (category.confidence && !level) {
+        errors.push({ path: `${location}/${index}/categorical`, message: `unknown confidence level "${categorical}"` });
+        return;
+      }
+      normalized[category.key].push(category.confidence ?
+        { type, confidence: level.numeric, categorical } :
+        { type, confidence: null, categorical: null });
+    });
+
+    if (category.selection === 'single' && entries.length > 1) {
+      errors.push({ path: location, message: 'allows only one label' });
+    }
+    if (category.required && entries.length === 0) {
+      errors.push({ path: location, message: 'requires at least one label' });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new TaxonomyError('Labels do not match the annotation taxonomy', errors);
+  }
+  return normalized;
+}
+
+class TaxonomyService {
+  constructor(db, options = {}) {
+    this.db = db;
+    // Used by studies that do not name their own taxonomy file
+    this.filePath = options.filePath || process.env.TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE;
+    // Registered taxonomies by resolved file path
+    this.loaded = new Map();
+  }
+
+  // Load a config and register it as a version. Editing a taxonomy without
+  // bumping its version is refused, since recorded annotations refer to it.
+  async load(filePath = this.filePath) {
+    const config = loadTaxonomyFile(filePath);
+    const content = JSON.stringify(config);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    const versionId = await this.db.transaction(async tx => {
+      await tx.lock('taxonomy-versions');
+      const existing = await tx.get(
+        'SELECT id, content_hash FROM taxonomy_versions WHERE taxonomy_id = ? AND version = ?',
+        [config.id, config.version]
+      );
+      if (existing) {
+        if (existing.content_hash !== hash) {
+          throw new TaxonomyError(
+            `Taxonomy ${config.id} version ${config.version} has changed since it was registered; bump its version`
+          );
+        }
+        return existing.id;
+      }
+      const result = await tx.insert(
+        'INSERT INTO taxonomy_versions (taxonomy_id, version, content_hash, config) VALUES (?, ?, ?, ?)',
+        [config.id, config.version, hash, content]
+      );
+      console.log(`Registered taxonomy ${config.id} version ${config.version}`);
+      return result.lastID;
+    });
+
+    const taxonomy = { ...config, taxonomy_version_id: versionId };
+    this.loaded.set(path.resolve(filePath), taxonomy);
+    return taxonomy;
+  }
+
+  async getCurrent(filePath = this.filePath) {
+    return this.loaded.get(path.resolve(filePath)) || this.load(filePath);
+  }
+
+  // The taxonomy a study annotates with
+  async forStudy(study) {
+    return this.getCurrent(study.taxonomy_file || this.filePath);
+  }
+}
+
+module.exports = {
+  TaxonomyService,
+  TaxonomyError,
+  loadTaxonomyFile,
+  normalizeLabels
+};
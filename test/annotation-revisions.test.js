@@ -0,0 +1,48 @@
+// One final annotation per participant and slice, with earlier submissions kept as revisions
+const test = require('node:test');
+const assert = require('node:assert');
+const { saveAnnotation, getRevisions } = require('../annotations');
+const { createDatabase } = require('./helpers/database');
+
+function annotation(participantId, sliceId, interactionTypes) {
+  return {
+    participant_id: participantId,
+    slice_id: sliceId,
+    study_id: 'default',
+    session_id: 'session_1',
+    interaction_types: interactionTypes,
+    curiosity_types: [],
+    labels: { interaction_types: interactionTypes, curiosity_types: [] },
+    taxonomy_version_id: null,
+    routing_validation: {},
+    annotation_time_seconds: 10
+  };
+}
+
+test('resubmitting a slice revises the annotation instead of adding a row', async () => {
+  const db = await createDatabase();
+
+  const first = await db.transaction(tx => saveAnnotation(tx, annotation('p1', 'slice_1', [{ type: 'agreeing' }])));
+  const second = await db.transaction(tx => saveAnnotation(tx, annotation('p1', 'slice_1', [{ type: 'questioning' }])));
+  await db.transaction(tx => saveAnnotation(tx, annotation('p2', 'slice_1', [])));
+
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(second.revision, 2);
+
+  const rows = await db.query('SELECT participant_id, interaction_types, revision FROM annotations ORDER BY id');
+  assert.strictEqual(rows.length, 2);
+  assert.deepStrictEqual(JSON.parse(rows[0].interaction_types), [{ type: 'questioning' }]);
+  assert.strictEqual(rows[0].revision, 2);
+
+  const revisions = await getRevisions(db, first.id);
+  assert.strictEqual(revisions.length, 1);
+  assert.strictEqual(revisions[0].revision, 1);
+  assert.deepStrictEqual(JSON.parse(revisions[0].interaction_types), [{ type: 'agreeing' }]);
+
+  // The database itself refuses a second final row for the same slice
+  await assert.rejects(db.run(
+    'INSERT INTO annotations (participant_id, slice_id) VALUES (?, ?)',
+    ['p1', 'slice_1']
+  ));
+  await db.close();
+});
@@ -0,0 +1,63 @@
+// Idempotent annotation submissions: retries with the same Idempotency-Key save once
+const test = require('node:test');
+const assert = require('node:assert');
+const { submitAnnotation, getRevisions } = require('../annotations');
+const { createDatabase } = require('./helpers/database');
+
+function annotation(participantId, interactionTypes) {
+  return {
+    participant_id: participantId,
+    slice_id: 'slice_1',
+    study_id: 'default',
+    session_id: `session_${participantId}`,
+    interaction_types: interactionTypes,
+    curiosity_types: [],
+    labels: { interaction_types: interactionTypes, curiosity_types: [] },
+    taxonomy_version_id: null,
+    routing_validation: {},
+    annotation_time_seconds: 10
+  };
+}
+
+test('a retry with the same key returns the original result and saves nothing', async () => {
+  const db = await createDatabase();
+  let saves = 0;
+  const options = { idempotencyKey: 'key-1', onSaved: async () => { saves++; } };
+
+  const first = await submitAnnotation(db, annotation('p1', [{ type: 'agreeing' }]), options);
+  const retry = await submitAnnotation(db, annotation('p1', [{ type: 'questioning' }]), options);
+
+  assert.deepStrictEqual(first, { id: first.id, revision: 1, duplicate: false });
+  assert.deepStrictEqual(retry, { id: first.id, revision: 1, duplicate: true });
+  assert.strictEqual(saves, 1);
+  const rows = await db.query('SELECT interaction_types, revision FROM annotations');
+  assert.strictEqual(rows.length, 1);
+  assert.deepStrictEqual(JSON.parse(rows[0].interaction_types), [{ type: 'agreeing' }]);
+  await db.close();
+});
+
+test('concurrent submissions of a slice with different keys become revisions', async () => {
+  const db = await createDatabase();
+  const results = await Promise.all([
+    submitAnnotation(db, annotation('p1', [{ type: 'agreeing' }]), { idempotencyKey: 'queued' }),
+    submitAnnotation(db, annotation('p1', [{ type: 'questioning' }]), { idempotencyKey: 'resubmitted' }),
+    submitAnnotation(db, annotation('p1', [{ type: 'explaining' }]))
+  ]);
+
+  assert.strictEqual(new Set(results.map(result => result.id)).size, 1);
+  assert.deepStrictEqual(results.map(result => result.revision).sort(), [1, 2, 3]);
+  assert.strictEqual((await getRevisions(db, results[0].id)).length, 2);
+  await db.close();
+});
+
+test('idempotency keys are scoped to the participant', async () => {
+  const db = await createDatabase();
+  const mine = await submitAnnotation(db, annotation('p1', []), { idempotencyKey: 'shared' });
+  const theirs = await submitAnnotation(db, annotation('p2', []), { idempotencyKey: 'shared' });
+
+  assert.strictEqual(theirs.duplicate, false);
+  assert.notStrictEqual(theirs.id, mine.id);
+  const rows = await db.query('SELECT participant_id, annotation_id FROM annotation_submissions ORDER BY participant_id');
+  assert.deepStrictEqual(rows.map(row => [row.participant_id, row.annotation_id]), [['p1', mine.id], ['p2', theirs.id]]);
+  await db.close();
+});
@@ -0,0 +1,83 @@
+// Annotation submissions: payload schema, assignment and time checks, rejection log
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MIN_ANNOTATION_SECONDS,
+  MAX_ANNOTATION_SECONDS,
+  validateAnnotationPayload,
+  isAssigned,
+  checkAnnotationTime,
+  logRejectedAnnotation,
+  getRejectedAnnotations
+} = require('../annotation-validation');
+const { createDatabase } = require('./helpers/database');
+
+function payload(overrides = {}) {
+  return {
+    participant_id: 'p1',
+    slice_id: 'slice_1',
+    labels: { interaction_types: [{ type: 'agreeing', categorical: 'high' }], curiosity_types: [] },
+    taxonomy_version_id: 1,
+    routing_validation: {},
+    annotation_time_seconds: 30,
+    ...overrides
+  };
+}
+
+test('a well-formed submission passes the schema', () => {
+  assert.deepStrictEqual(validateAnnotationPayload(payload()), []);
+  assert.deepStrictEqual(validateAnnotationPayload(payload({ labels: undefined, interaction_types: ['agreeing'] })), []);
+});
+
+test('schema errors point at the offending fields', () => {
+  const errors = validateAnnotationPayload(payload({
+    labels: { interaction_types: [{ type: 'agreeing', confidence: 1.5 }] },
+    routing_validation: { nested: { deep: true } },
+    unexpected: 'value'
+  }));
+  assert.deepStrictEqual(errors.map(error => error.path).sort(), [
+    '/labels/interaction_types/0/confidence',
+    '/routing_validation/nested',
+    '/unexpected'
+  ]);
+
+  assert.deepStrictEqual(validateAnnotationPayload({ participant_id: 'p1', slice_id: 'slice_1', annotation_time_seconds: -1 }), [
+    { path: '/labels', message: 'is required' },
+    { path: '/annotation_time_seconds', message: 'must be >= 0' }
+  ]);
+});
+
+test('annotation time must lie between the minimum and the session or maximum', () => {
+  const now = new Date('2024-03-01T10:10:00Z');
+  const session = { started_at: '2024-03-01 10:00:00' };
+  assert.strictEqual(checkAnnotationTime(120, session, now), null);
+  assert.strictEqual(checkAnnotationTime(650, session, now), null);
+  assert.ok(checkAnnotationTime(1200, session, now));
+  assert.ok(checkAnnotationTime(MAX_ANNOTATION_SECONDS + 1, null, now));
+  assert.deepStrictEqual(checkAnnotationTime(MIN_ANNOTATION_SECONDS - 1, session, now), {
+    path: '/annotation_time_seconds',
+    message: `must be at least ${MIN_ANNOTATION_SECONDS} seconds`
+  });
+  assert.strictEqual(checkAnnotationTime(MIN_ANNOTATION_SECONDS, session, now), null);
+});
+
+test('only active assignments count and rejections are logged', async () => {
+  const db = await createDatabase();
+  await db.run('INSERT INTO assignments (participant_id, slice_id, study_id) VALUES (?, ?, ?)', ['p1', 'slice_1', 'default']);
+  await db.run('INSERT INTO assignments (participant_id, slice_id, study_id, released_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)', ['p1', 'slice_2', 'default']);
+
+  assert.strictEqual(await isAssigned(db, 'p1', 'slice_1', 'default'), true);
+  assert.strictEqual(await isAssigned(db, 'p1', 'slice_2', 'default'), false);
+  assert.strictEqual(await isAssigned(db, 'p2', 'slice_1', 'default'), false);
+
+  await logRejectedAnnotation(db, {
+    status: 403,
+    error: 'Slice slice_3 is not assigned to participant p1',
+    body: payload({ slice_id: 'slice_3' }),
+    studyId: 'default'
+  });
+  const [rejected] = await getRejectedAnnotations(db, { studyId: 'default' });
+  assert.strictEqual(rejected.status, 403);
+  assert.strictEqual(rejected.slice_id, 'slice_3');
+  assert.strictEqual(JSON.parse(rejected.payload).annotation_time_seconds, 30);
+});
@@ -0,0 +1,109 @@
+// Annotator quality profiles: timing, straight-lining, empty submissions,
+// agreement with the other raters and label skew
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeAnnotatorProfiles, loadLabelCounts, loadAnnotatorProfiles } = require('../annotator-quality');
+const { createDatabase } = require('./helpers/database');
+
+function row(participantId, sliceId, interactionTypes, seconds, curiosityTypes = []) {
+  return {
+    participant_id: participantId,
+    slice_id: sliceId,
+    interaction_types: JSON.stringify(interactionTypes),
+    curiosity_types: JSON.stringify(curiosityTypes),
+    annotation_time_seconds: seconds
+  };
+}
+
+// Six slices; four careful raters vary their labels and mostly agree with each other
+function rows() {
+  const truth = [['questioning'], ['agreeing'], ['explaining'], ['questioning', 'agreeing'], ['disagreeing'], ['explaining']];
+  const result = [];
+  truth.forEach((labels, index) => {
+    const sliceId = `slice_${index + 1}`;
+    result.push(row('careful_1', sliceId, labels, 40 + index));
+    result.push(row('careful_2', sliceId, labels, 55 + index, index === 0 ? ['epistemic'] : []));
+    result.push(row('careful_3', sliceId, index === 3 ? ['questioning'] : labels, 35));
+    result.push(row('careful_4', sliceId, labels, 60));
+    result.push(row('clicker', sliceId, ['agreeing'], 2));
+    result.push(row('blank', sliceId, [], 30));
+  });
+  return result;
+}
+
+function profileOf(profiles, participantId) {
+  return profiles.find(profile => profile.participant_id === participantId);
+}
+
+test('careful raters get no flags and high agreement with the others', () => {
+  const profile = profileOf(computeAnnotatorProfiles(rows()), 'careful_1');
+  assert.deepStrictEqual(profile.flags, []);
+  assert.strictEqual(profile.annotations, 6);
+  assert.strictEqual(profile.timing.median, 42.5);
+  assert.strictEqual(profile.empty_rate, 0);
+  assert.ok(profile.consensus.agreement > 0.5);
+});
+
+test('fast raters who tick the same label on every slice are flagged', () => {
+  const profile = profileOf(computeAnnotatorProfiles(rows()), 'clicker');
+  assert.strictEqual(profile.straight_lining_rate, 1);
+  assert.deepStrictEqual(profile.most_repeated_labels, ['interaction_types:agreeing']);
+  assert.strictEqual(profile.label_skew.top_label_share, 1);
+  assert.strictEqual(profile.label_skew.entropy, 0);
+  assert.ok(profile.flags.includes('too_fast'));
+  assert.ok(profile.flags.includes('straight_lining'));
+  assert.ok(profile.flags.includes('label_skew'));
+  assert.ok(profile.flagged);
+});
+
+test('empty submissions are counted and flagged', () => {
+  const profile = profileOf(computeAnnotatorProfiles(rows()), 'blank');
+  assert.strictEqual(profile.empty_submissions, 6);
+  assert.strictEqual(profile.empty_rate, 1);
+  assert.strictEqual(profile.straight_lining_rate, 0);
+  assert.ok(profile.flags.includes('empty_submissions'));
+  assert.ok(profile.flags.includes('low_consensus_agreement'));
+});
+
+test('participants with few annotations are profiled but not flagged', () => {
+  const profiles = computeAnnotatorProfiles([row('p1', 'slice_1', [], 1), row('p2', 'slice_1', ['agreeing'], 30)]);
+  assert.strictEqual(profileOf(profiles, 'p1').empty_rate, 1);
+  assert.deepStrictEqual(profileOf(profiles, 'p1').flags, []);
+});
+
+test('labels are read per taxonomy category from the labels column', () => {
+  const labelled = (participantId, sliceId, stance) => ({
+    participant_id: participantId,
+    slice_id: sliceId,
+    labels: JSON.stringify({ stance: [{ type: stance, confidence: 0.875, categorical: 'high' }] }),
+    interaction_types: '[]',
+    curiosity_types: '[]',
+    annotation_time_seconds: 30
+  });
+  const profiles = computeAnnotatorProfiles(
+    ['slice_1', 'slice_2', 'slice_3'].map(sliceId => labelled('p1', sliceId, 'support')),
+    { categories: ['stance'] }
+  );
+  assert.deepStrictEqual(profileOf(profiles, 'p1').most_repeated_labels, ['stance:support']);
+  assert.strictEqual(profileOf(profiles, 'p1').empty_rate, 0);
+});
+
+test('profiles of a few participants match the profiles of the whole study', async () => {
+  const db = await createDatabase();
+  for (const entry of rows()) {
+    await db.run(
+      'INSERT INTO annotations (participant_id, slice_id, study_id, interaction_types, curiosity_types, annotation_time_seconds) VALUES (?, ?, ?, ?, ?, ?)',
+      [entry.participant_id, entry.slice_id, 'default', entry.interaction_types, entry.curiosity_types, entry.annotation_time_seconds]
+    );
+  }
+  const all = await loadAnnotatorProfiles(db, { studyId: 'default' });
+  const some = await loadAnnotatorProfiles(db, {
+    studyId: 'default',
+    participantIds: ['clicker', 'careful_2'],
+    labelCounts: await loadLabelCounts(db, { studyId: 'default' })
+  });
+
+  assert.deepStrictEqual(some.map(profile => profile.participant_id).sort(), ['careful_2', 'clicker']);
+  some.forEach(profile => assert.deepStrictEqual(profile, profileOf(all, profile.participant_id)));
+  await db.close();
+});
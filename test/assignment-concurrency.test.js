@@ -0,0 +1,109 @@
+// Concurrency test for slice assignment against an in-memory SQLite database
+const test = require('node:test');
+const assert = require('node:assert');
+const { AssignmentEngine } = require('../assignment');
+const { createDatabase, insertSlice } = require('./helpers/database');
+
+const SLICE_COUNT = 40;
+const SLICES_PER_PARTICIPANT = 15;
+
+async function seededDatabase() {
+  const db = await createDatabase();
+  for (let i = 1; i <= SLICE_COUNT; i++) {
+    await insertSlice(db, `slice_${i}`, { gold_labels: i <= 5 ? '{"interaction_types":["agreeing"]}' : null });
+  }
+  return db;
+}
+
+async function assignmentCounts(db) {
+  const rows = await db.query('SELECT slice_id, COUNT(*) as count FROM assignments GROUP BY slice_id');
+  const counts = {};
+  for (let i = 1; i <= SLICE_COUNT; i++) counts[`slice_${i}`] = 0;
+  rows.forEach(row => { counts[row.slice_id] = row.count; });
+  return Object.values(counts);
+}
+
+test('parallel participants get full, balanced assignments', async () => {
+  const db = await seededDatabase();
+  const engine = new AssignmentEngine(db, { targetRatings: 100 });
+  const participants = Array.from({ length: 8 }, (_, i) => `participant_${i}`);
+
+  const results = await Promise.all(participants.map(id =>
+    engine.assignSlices(id, { count: SLICES_PER_PARTICIPANT })
+  ));
+
+  results.forEach(result => {
+    assert.strictEqual(result.created, true);
+    assert.strictEqual(result.sliceIds.length, SLICES_PER_PARTICIPANT);
+    assert.strictEqual(new Set(result.sliceIds).size, SLICES_PER_PARTICIPANT);
+  });
+
+  // 8 x 15 = 120 assignments over 40 slices: exactly 3 each
+  const counts = await assignmentCounts(db);
+  assert.strictEqual(Math.max(...counts), 3);
+  assert.strictEqual(Math.min(...counts), 3);
+});
+
+test('concurrent requests for the same participant create one assignment set', async () => {
+  const db = await seededDatabase();
+  const engine = new AssignmentEngine(db);
+
+  const results = await Promise.all([1, 2, 3, 4].map(() =>
+    engine.assignSlices('participant_reload', { count: SLICES_PER_PARTICIPANT })
+  ));
+
+  assert.strictEqual(results.filter(result => result.created).length, 1);
+  const expected = [...results[0].sliceIds].sort();
+  results.forEach(result => assert.deepStrictEqual([...result.sliceIds].sort(), expected));
+
+  const row = await db.get('SELECT COUNT(*) as count FROM assignments WHERE participant_id = ?', ['participant_reload']);
+  assert.strictEqual(row.count, SLICES_PER_PARTICIPANT);
+});
+
+test('a failed assignment rolls back and leaves the database usable', async () => {
+  const db = await seededDatabase();
+
+  await assert.rejects(db.transaction(async tx => {
+    await tx.run('INSERT INTO assignments (participant_id, slice_id) VALUES (?, ?)', ['participant_x', 'slice_1']);
+    throw new Error('boom');
+  }));
+
+  const row = await db.get('SELECT COUNT(*) as count FROM assignments');
+  assert.strictEqual(row.count, 0);
+});
+
+test('assignments stay within the participant\'s study', async () => {
+  const db = await seededDatabase();
+  await db.run("INSERT INTO studies (id, name) VALUES ('pilot', 'Pilot')");
+  for (let i = 1; i <= 4; i++) {
+    await insertSlice(db, `pilot:slice_${i}`, { study_id: 'pilot', conversation_id: 'conv_2' });
+  }
+  const engine = new AssignmentEngine(db);
+
+  const pilot = await engine.assignSlices('participant_1', { studyId: 'pilot', count: SLICES_PER_PARTICIPANT });
+  const main = await engine.assignSlices('participant_1', { studyId: 'default', count: SLICES_PER_PARTICIPANT });
+
+  assert.strictEqual(pilot.sliceIds.length, 4);
+  pilot.sliceIds.forEach(id => assert.ok(id.startsWith('pilot:')));
+  assert.strictEqual(main.created, true);
+  assert.strictEqual(main.sliceIds.length, SLICES_PER_PARTICIPANT);
+  main.sliceIds.forEach(id => assert.ok(!id.startsWith('pilot:')));
+});
+
+test('preview sessions do not count towards slice loads', async () => {
+  const db = await seededDatabase();
+  const engine = new AssignmentEngine(db);
+  await db.run("INSERT INTO sessions (session_id, participant_id, study_id, preview) VALUES ('preview-1', 'preview_p', 'default', 1)");
+  await db.run("INSERT INTO sessions (session_id, participant_id, study_id, preview) VALUES ('s-1', 'real_p', 'default', 0)");
+  await db.run("INSERT INTO assignments (participant_id, slice_id, study_id) VALUES ('preview_p', 'slice_2', 'default')");
+  for (const [participantId, sessionId] of [['preview_p', 'preview-1'], ['real_p', 's-1']]) {
+    await db.run(
+      'INSERT INTO annotations (participant_id, slice_id, study_id, session_id, interaction_types, curiosity_types) VALUES (?, ?, ?, ?, ?, ?)',
+      [participantId, 'slice_1', 'default', sessionId, '["agreeing"]', '[]']
+    );
+  }
+
+  const loads = new Map((await engine.getSliceLoads(db, 'default')).map(load => [load.slice_id, load]));
+  assert.strictEqual(loads.get('slice_1').completed, 1);
+  assert.strictEqual(loads.get('slice_2').active, 0);
+});
@@ -0,0 +1,92 @@
+// Completion codes: issued once every assigned slice is annotated and the gold
+// checks pass; approval recommendations leave preview participants out
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStudy } = require('../studies');
+const { issueCompletionCode, findCompletionCode, completionRecommendations } = require('../completion');
+const { createDatabase, insertSlice } = require('./helpers/database');
+
+async function seededDatabase() {
+  const db = await createDatabase();
+  for (const [id, gold] of [['slice_1', null], ['slice_2', null], ['gold_1', '{"interaction_types":["agreeing"]}']]) {
+    await insertSlice(db, id, { gold_labels: gold });
+  }
+  return db;
+}
+
+async function assign(db, participantId, { preview = false } = {}) {
+  await db.run(
+    'INSERT INTO sessions (session_id, participant_id, study_id, preview) VALUES (?, ?, ?, ?)',
+    [`session_${participantId}`, participantId, 'default', preview ? 1 : 0]
+  );
+  await db.run('INSERT INTO participants (participant_id, study_id) VALUES (?, ?)', [participantId, 'default']);
+  for (const sliceId of ['slice_1', 'slice_2', 'gold_1']) {
+    await db.run('INSERT INTO assignments (participant_id, slice_id, study_id) VALUES (?, ?, ?)', [participantId, sliceId, 'default']);
+  }
+}
+
+async function annotate(db, participantId, sliceId, interactionTypes = ['agreeing']) {
+  await db.run(
+    'INSERT INTO annotations (participant_id, slice_id, study_id, session_id, interaction_types, curiosity_types) VALUES (?, ?, ?, ?, ?, ?)',
+    [participantId, sliceId, 'default', `session_${participantId}`, JSON.stringify(interactionTypes), '[]']
+  );
+}
+
+test('a code is issued once every slice is annotated, and only once', async () => {
+  const db = await seededDatabase();
+  const study = await getStudy(db, 'default');
+  await assign(db, 'p1');
+  await annotate(db, 'p1', 'slice_1');
+
+  const early = await issueCompletionCode(db, study, 'p1');
+  assert.deepStrictEqual(early, { issued: false, complete: false, reasons: ['annotated 1 of 3 assigned slices'] });
+
+  await annotate(db, 'p1', 'slice_2');
+  await annotate(db, 'p1', 'gold_1');
+  const issued = await issueCompletionCode(db, study, 'p1');
+  assert.strictEqual(issued.issued, true);
+  assert.match(issued.code, /^C1HAZGAN-[A-HJ-NP-Z2-9]{8}$/);
+
+  const again = await issueCompletionCode(db, study, 'p1');
+  assert.strictEqual(again.code, issued.code);
+  assert.strictEqual((await findCompletionCode(db, issued.code)).participant_id, 'p1');
+  await db.close();
+});
+
+test('failing the gold checks withholds the code', async () => {
+  const db = await seededDatabase();
+  const study = await getStudy(db, 'default');
+  await assign(db, 'p1');
+  await annotate(db, 'p1', 'slice_1');
+  await annotate(db, 'p1', 'slice_2');
+  await annotate(db, 'p1', 'gold_1', ['disagreeing']);
+
+  const result = await issueCompletionCode(db, study, 'p1');
+  assert.strictEqual(result.issued, false);
+  assert.strictEqual(result.complete, true);
+  assert.deepStrictEqual(result.reasons, ['gold accuracy 0.00 below threshold']);
+  await db.close();
+});
+
+test('recommendations approve finished participants and leave out preview sessions', async () => {
+  const db = await seededDatabase();
+  const study = await getStudy(db, 'default');
+  for (const participantId of ['finished', 'partial']) {
+    await assign(db, participantId);
+  }
+  await assign(db, 'preview-tester', { preview: true });
+  for (const participantId of ['finished', 'preview-tester']) {
+    for (const sliceId of ['slice_1', 'slice_2', 'gold_1']) await annotate(db, participantId, sliceId);
+  }
+  await annotate(db, 'partial', 'slice_1');
+
+  const recommendations = await completionRecommendations(db, study);
+  assert.deepStrictEqual(
+    recommendations.map(row => [row.participant_id, row.recommendation, row.reasons]).sort(),
+    [
+      ['finished', 'approve', ['completion code never requested']],
+      ['partial', 'reject', ['annotated 1 of 3 assigned slices']]
+    ]
+  );
+  await db.close();
+});
@@ -0,0 +1,98 @@
+// Consensus labels per slice: majority, confidence-weighted and Dawid-Skene
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeConsensus, consensusRows } = require('../consensus');
+
+function row(participantId, sliceId, interactionTypes) {
+  return {
+    participant_id: participantId,
+    slice_id: sliceId,
+    conversation_id: 'conv_1',
+    interaction_types: JSON.stringify(interactionTypes),
+    curiosity_types: '[]'
+  };
+}
+
+const high = type => ({ type, confidence: 0.875, categorical: 'high' });
+const low = type => ({ type, confidence: 0.375, categorical: 'low' });
+
+test('majority vote gives the share of raters and counts raters per slice', () => {
+  const rows = [
+    row('p1', 'slice_1', [high('questioning')]),
+    row('p2', 'slice_1', [high('questioning'), high('agreeing')]),
+    row('p3', 'slice_1', [])
+  ];
+  const report = computeConsensus(rows, [{ id: 'slice_1', conversation_id: 'conv_1' }, { id: 'slice_2', conversation_id: 'conv_1' }]);
+
+  const [slice1, slice2] = report.slices;
+  assert.strictEqual(slice1.raters, 3);
+  assert.strictEqual(slice1.labels.interaction_types.questioning.posterior, 2 / 3);
+  assert.strictEqual(slice1.labels.interaction_types.questioning.selected, 2);
+  assert.deepStrictEqual(slice1.consensus.interaction_types, ['questioning']);
+  assert.strictEqual(slice2.raters, 0);
+  assert.deepStrictEqual(slice2.consensus.interaction_types, []);
+});
+
+test('confidence weighting discounts unsure votes', () => {
+  const rows = [
+    row('p1', 'slice_1', [low('explaining')]),
+    row('p2', 'slice_1', [low('explaining')]),
+    row('p3', 'slice_1', [])
+  ];
+  const majority = computeConsensus(rows, [], { strategy: 'majority' }).slices[0];
+  const weighted = computeConsensus(rows, [], { strategy: 'weighted' }).slices[0];
+
+  assert.deepStrictEqual(majority.consensus.interaction_types, ['explaining']);
+  assert.strictEqual(weighted.labels.interaction_types.explaining.posterior, 0.75 / 1.75);
+  assert.deepStrictEqual(weighted.consensus.interaction_types, []);
+});
+
+test('Dawid-Skene trusts raters who agree with the others over one who selects everything', () => {
+  const rows = [];
+  ['slice_1', 'slice_2', 'slice_3', 'slice_4', 'slice_5', 'slice_6'].forEach((sliceId, index) => {
+    const present = index < 2;
+    rows.push(row('careful_1', sliceId, present ? [high('agreeing')] : []));
+    rows.push(row('careful_2', sliceId, present ? [high('agreeing')] : []));
+    rows.push(row('careful_3', sliceId, present || index === 5 ? [high('agreeing')] : []));
+    rows.push(row('spammer', sliceId, [high('agreeing')]));
+  });
+  const report = computeConsensus(rows, [], { strategy: 'dawid_skene' });
+  const posterior = sliceId => report.slices.find(slice => slice.slice_id === sliceId).labels.interaction_types.agreeing.posterior;
+
+  assert.ok(posterior('slice_1') > 0.9);
+  assert.ok(posterior('slice_4') < 0.1);
+  // A tie under majority vote: one careful rater and the spammer said yes
+  assert.ok(posterior('slice_6') < 0.25);
+  assert.ok(report.raters.spammer.interaction_types.agreeing.specificity < report.raters.careful_1.interaction_types.agreeing.specificity);
+});
+
+test('file rows have one line per slice and label', () => {
+  const report = computeConsensus([row('p1', 'slice_1', [high('questioning')])], []);
+  assert.deepStrictEqual(consensusRows(report), [{
+    slice_id: 'slice_1',
+    conversation_id: 'conv_1',
+    strategy: 'majority',
+    category: 'interaction_types',
+    label: 'questioning',
+    raters: 1,
+    selected: 1,
+    posterior: 1,
+    consensus: true
+  }]);
+});
+
+test('categories come from the taxonomy and labels from the labels column', () => {
+  const labelled = (participantId, stances) => ({
+    participant_id: participantId,
+    slice_id: 'slice_1',
+    conversation_id: 'conv_1',
+    labels: JSON.stringify({ stance: stances.map(high) }),
+    interaction_types: '[]',
+    curiosity_types: '[]'
+  });
+  const report = computeConsensus([labelled('p1', ['support']), labelled('p2', ['support', 'oppose'])], [], { categories: ['stance'] });
+
+  assert.deepStrictEqual(report.categories, ['stance']);
+  assert.deepStrictEqual(report.slices[0].consensus, { stance: ['support'] });
+  assert.deepStrictEqual(consensusRows(report).map(entry => `${entry.category}:${entry.label}`), ['stance:support', 'stance:oppose']);
+});
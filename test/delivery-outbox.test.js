@@ -0,0 +1,240 @@
+// Annotation delivery against local fakes: a Sheets client, a webhook receiver
+// and a MinIO-style S3 stand-in
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const GoogleSheetsService = require('../google-sheets');
+const GoogleSheetsSink = require('../sinks/google-sheets');
+const JsonlFileSink = require('../sinks/jsonl-file');
+const { WebhookSink, signPayload } = require('../sinks/webhook');
+const S3Sink = require('../sinks/s3');
+const { DeliveryWorker, enqueueAnnotation } = require('../delivery-outbox');
+const { createDatabase } = require('./helpers/database');
+
+// Minimal in-memory stand-in for sheets.spreadsheets.values
+function createFakeSheetsClient() {
+  const fake = {
+    rows: [],
+    failures: [],
+    spreadsheets: {
+      values: {
+        append: async ({ resource }) => {
+          const failure = fake.failures.shift();
+          if (failure) throw failure;
+          fake.rows.push(...resource.values);
+          return { data: {} };
+        },
+        get: async ({ range }) => {
+          if (range === 'Sheet1!H2:H') return { data: { values: fake.rows.map(row => [String(row[7])]) } };
+          return { data: { values: [] } };
+        },
+        update: async ({ range, resource }) => {
+          if (range !== 'Sheet1!A1:H1') fake.rows.push(...resource.values);
+          return { data: {} };
+        },
+        clear: async () => {
+          fake.rows = [];
+          return { data: {} };
+        }
+      }
+    }
+  };
+  return fake;
+}
+
+// Local HTTP server; `handler(req, body)` returns [status, headers?]
+async function startServer(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const [status, headers] = handler(req, Buffer.concat(chunks).toString('utf8'));
+      res.writeHead(status, headers || {});
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function setup(sinks) {
+  const db = await createDatabase();
+  const worker = new DeliveryWorker(db, sinks, { baseDelayMs: 0 });
+  return { db, worker };
+}
+
+function sheetsSink() {
+  const client = createFakeSheetsClient();
+  const sink = new GoogleSheetsSink(new GoogleSheetsService({ client, spreadsheetId: 'test-sheet' }));
+  sink.requestsPerMinute = 60000;
+  return { client, sink };
+}
+
+async function saveAnnotation(db, worker, participantId, sliceId) {
+  return db.transaction(async tx => {
+    const result = await tx.insert(
+      'INSERT INTO annotations (participant_id, slice_id, interaction_types, curiosity_types, routing_validation, annotation_time_seconds) VALUES (?, ?, ?, ?, ?, ?)',
+      [participantId, sliceId, '["agreeing"]', '[]', '{}', 10]
+    );
+    await enqueueAnnotation(tx, result.lastID, worker.sinkNames());
+    return result.lastID;
+  });
+}
+
+test('queued annotations are retried after a failure and delivered once', async () => {
+  const { client, sink } = sheetsSink();
+  const { db, worker } = await setup([sink]);
+  await saveAnnotation(db, worker, 'p1', 'slice_1');
+  await saveAnnotation(db, worker, 'p1', 'slice_2');
+
+  client.failures.push(new Error('backend unavailable'));
+  assert.deepStrictEqual(await worker.runOnce(), { delivered: 0, failed: 2 });
+  assert.strictEqual(client.rows.length, 0);
+
+  const failed = await db.query('SELECT attempts, last_error FROM annotation_deliveries');
+  failed.forEach(row => {
+    assert.strictEqual(row.attempts, 1);
+    assert.strictEqual(row.last_error, 'backend unavailable');
+  });
+
+  // Zero base delay: the rows are due again straight away
+  assert.strictEqual(await worker.drain(), 2);
+  assert.deepStrictEqual(client.rows.map(row => row[1]), ['slice_1', 'slice_2']);
+  assert.strictEqual((await worker.getStatus()).google_sheets.pending, 0);
+  assert.strictEqual(await worker.drain(), 0);
+  await db.close();
+});
+
+test('a revision queued during delivery is delivered again', async () => {
+  const delivered = [];
+  const sink = {
+    name: 'recorder',
+    requestsPerMinute: 60000,
+    isConfigured: () => true,
+    async deliver(rows) {
+      delivered.push(...rows.map(row => row.id));
+      // The participant revises the annotation while the first copy is in flight
+      if (delivered.length === 1) await enqueueAnnotation(db, rows[0].id, ['recorder']);
+    }
+  };
+  const { db, worker } = await setup([sink]);
+  const id = await saveAnnotation(db, worker, 'p1', 'slice_1');
+
+  await worker.runOnce();
+  const row = await db.get('SELECT status, attempts FROM annotation_deliveries');
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.attempts, 0);
+
+  assert.strictEqual(await worker.drain(), 1);
+  assert.deepStrictEqual(delivered, [id, id]);
+  assert.strictEqual((await worker.getStatus()).recorder.delivered, 1);
+  await db.close();
+});
+
+test('rate-limit errors delay the sink until Retry-After', async () => {
+  const { client, sink } = sheetsSink();
+  const { db, worker } = await setup([sink]);
+  await saveAnnotation(db, worker, 'p1', 'slice_1');
+
+  const error = new Error('Quota exceeded');
+  error.code = 429;
+  error.response = { status: 429, headers: { 'retry-after': '120' } };
+  client.failures.push(error);
+
+  assert.deepStrictEqual(await worker.runOnce(), { delivered: 0, failed: 1 });
+  assert.ok(worker.nextRequestAt.get('google_sheets') >= Date.now() + 110000);
+  const row = await db.get('SELECT status FROM annotation_deliveries');
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(await worker.drain(), 0);
+  await db.close();
+});
+
+test('resync backfills missing annotations and rebuild rewrites the sheet', async () => {
+  const { client, sink } = sheetsSink();
+  const { db, worker } = await setup([sink]);
+  const first = await saveAnnotation(db, worker, 'p1', 'slice_1');
+  await worker.drain();
+
+  // Annotations stored before the outbox existed are not queued
+  await db.run(
+    'INSERT INTO annotations (participant_id, slice_id, interaction_types, curiosity_types, routing_validation, annotation_time_seconds) VALUES (?, ?, ?, ?, ?, ?)',
+    ['p2', 'slice_1', '[]', '[]', '{}', 10]
+  );
+
+  const backfill = await worker.resync('google_sheets', 'backfill');
+  assert.strictEqual(backfill.present, 1);
+  assert.strictEqual(backfill.queued, 1);
+  await worker.drain();
+  assert.deepStrictEqual(client.rows.map(row => row[0]), ['p1', 'p2']);
+
+  client.rows.push(client.rows[0]);
+  const rebuild = await worker.resync('google_sheets', 'rebuild');
+  assert.strictEqual(rebuild.written, 2);
+  assert.deepStrictEqual(client.rows.map(row => row[7]), [first, first + 1]);
+  assert.strictEqual((await worker.getStatus()).google_sheets.delivered, 2);
+  await db.close();
+});
+
+test('each sink keeps its own delivery status', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+  const jsonl = new JsonlFileSink({ filePath: path.join(dir, 'annotations.jsonl') });
+
+  let webhookUp = false;
+  const webhookBodies = [];
+  const webhook = await startServer((req, body) => {
+    if (!webhookUp) return [503];
+    const expected = signPayload('shh', req.headers['x-signature-timestamp'], body);
+    if (req.headers['x-signature'] !== expected) return [401];
+    webhookBodies.push(JSON.parse(body));
+    return [204];
+  });
+
+  const objects = new Map();
+  const s3 = await startServer((req, body) => {
+    if (req.method !== 'PUT') return [400];
+    objects.set(req.url.split('?')[0], body);
+    return [200, { ETag: '"etag"' }];
+  });
+
+  const sinks = [
+    jsonl,
+    new WebhookSink({ url: webhook.url, secret: 'shh' }),
+    new S3Sink({ endpoint: s3.url, bucket: 'study', accessKeyId: 'minio', secretAccessKey: 'minio123' })
+  ];
+  sinks.forEach(sink => { sink.requestsPerMinute = 60000; });
+  const { db, worker } = await setup(sinks);
+
+  try {
+    const id = await saveAnnotation(db, worker, 'p1', 'slice_1');
+    assert.deepStrictEqual(await worker.runOnce(), { delivered: 2, failed: 1 });
+
+    let status = await worker.getStatus();
+    assert.strictEqual(status.jsonl.delivered, 1);
+    assert.strictEqual(status.s3.delivered, 1);
+    assert.strictEqual(status.webhook.pending, 1);
+    assert.match(status.webhook.oldest_pending.last_error, /HTTP 503/);
+
+    const line = JSON.parse(fs.readFileSync(path.join(dir, 'annotations.jsonl'), 'utf8').trim());
+    assert.strictEqual(line.annotation_id, id);
+    assert.deepStrictEqual(line.interaction_types, ['agreeing']);
+    assert.strictEqual(JSON.parse(objects.get(`/study/annotations/${id}.json`)).participant_id, 'p1');
+
+    webhookUp = true;
+    assert.strictEqual(await worker.drain(), 1);
+    status = await worker.getStatus();
+    assert.strictEqual(status.webhook.delivered, 1);
+    assert.strictEqual(webhookBodies[0].annotations[0].slice_id, 'slice_1');
+
+    // Sinks that cannot list their contents backfill from their delivery records
+    const backfill = await worker.resync('jsonl', 'backfill');
+    assert.strictEqual(backfill.queued, 0);
+  } finally {
+    webhook.server.close();
+    s3.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    await db.close();
+  }
+});
@@ -0,0 +1,160 @@
+// Analysis exports: escaped wide CSV, long format, JSONL, Parquet and filters
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { saveAnnotation } = require('../annotations');
+const { parseExportOptions, writeExport, ExportError } = require('../exporters');
+const { eachAnnotationBatch } = require('../exporters/common');
+const { createDatabase, insertSlice } = require('./helpers/database');
+
+function annotation(participantId, sliceId, labels, extra = {}) {
+  return {
+    participant_id: participantId,
+    slice_id: sliceId,
+    study_id: 'default',
+    session_id: null,
+    interaction_types: labels.interaction_types,
+    curiosity_types: labels.curiosity_types,
+    labels,
+    taxonomy_version_id: null,
+    dataset_version_id: 1,
+    routing_validation: { note: 'said "maybe", then stopped' },
+    annotation_time_seconds: 12,
+    ...extra
+  };
+}
+
+// Database with three annotations and no assignments at all
+async function seededDatabase() {
+  const db = await createDatabase();
+  await insertSlice(db, 'slice_1');
+  await db.transaction(async tx => {
+    await saveAnnotation(tx, annotation('p1', 'slice_1', {
+      interaction_types: [{ type: 'questioning', confidence: 0.875, categorical: 'high' }, { type: 'agreeing', confidence: 0.375, categorical: 'low' }],
+      curiosity_types: []
+    }));
+    await saveAnnotation(tx, annotation('p2', 'slice_1', {
+      interaction_types: [{ type: 'explaining', confidence: 0.625, categorical: 'medium' }],
+      curiosity_types: [{ type: 'epistemic', confidence: 0.625, categorical: 'medium' }]
+    }, { dataset_version_id: 2 }));
+    await saveAnnotation(tx, annotation('p3', 'slice_2', { interaction_types: [], curiosity_types: [] }));
+  });
+  await db.run('UPDATE annotations SET submitted_at = ? WHERE participant_id = ?', ['2024-03-01 10:00:00', 'p3']);
+  return db;
+}
+
+async function exportText(db, values) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const options = parseExportOptions(values);
+  await writeExport(db, options, output);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Minimal RFC 4180 reader, enough to check the escaping round-trips
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  const [headers, ...records] = rows;
+  return records.map(values => Object.fromEntries(headers.map((header, index) => [header, values[index]])));
+}
+
+test('wide CSV escapes JSON columns and keeps annotations without assignments', async () => {
+  const db = await seededDatabase();
+  const rows = parseCsv(await exportText(db, { format: 'csv' }));
+
+  assert.deepStrictEqual(rows.map(row => row.participant_id), ['p1', 'p2', 'p3']);
+  assert.deepStrictEqual(JSON.parse(rows[0].routing_validation), { note: 'said "maybe", then stopped' });
+  assert.strictEqual(JSON.parse(rows[0].interaction_types).length, 2);
+  assert.strictEqual(rows[0].conversation_id, 'conv_1');
+  assert.strictEqual(rows[2].conversation_id, '');
+});
+
+test('long layout has one row per label and one per empty category', async () => {
+  const db = await seededDatabase();
+  const rows = parseCsv(await exportText(db, { format: 'csv', layout: 'long' }));
+
+  const p1 = rows.filter(row => row.participant_id === 'p1');
+  assert.deepStrictEqual(p1.map(row => [row.category, row.label, row.confidence]), [
+    ['interaction_types', 'questioning', 'high'],
+    ['interaction_types', 'agreeing', 'low'],
+    ['curiosity_types', '', '']
+  ]);
+  assert.strictEqual(p1[0].confidence_score, '0.875');
+  assert.strictEqual(rows.filter(row => row.participant_id === 'p3').length, 2);
+});
+
+test('filters by participant, dataset version and date range', async () => {
+  const db = await seededDatabase();
+  const participants = value => exportText(db, { format: 'jsonl', ...value })
+    .then(text => text.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).participant_id));
+
+  assert.deepStrictEqual(await participants({ participant: 'p1,p3' }), ['p1', 'p3']);
+  assert.deepStrictEqual(await participants({ dataset_version: '2' }), ['p2']);
+  assert.deepStrictEqual(await participants({ from: '2024-03-01', to: '2024-03-01' }), ['p3']);
+  assert.deepStrictEqual(await participants({ to: '2024-02-29' }), []);
+
+  assert.throws(() => parseExportOptions({ from: 'yesterday' }), ExportError);
+  assert.throws(() => parseExportOptions({ format: 'xlsx' }), ExportError);
+});
+
+test('gold accuracy is filled in for each batch\'s participants', async () => {
+  const db = await seededDatabase();
+  await db.run('UPDATE slices SET gold_labels = ? WHERE id = ?', ['{"interaction_types":["questioning"],"curiosity_types":[]}', 'slice_1']);
+  const rows = (await exportText(db, { format: 'jsonl' })).trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepStrictEqual(rows.map(row => [row.participant_id, row.gold_accuracy]), [['p1', 0.5], ['p2', 0], ['p3', null]]);
+});
+
+test('batches cover every annotation exactly once', async () => {
+  const db = await seededDatabase();
+  const seen = [];
+  await eachAnnotationBatch(db, {}, async batch => {
+    assert.ok(batch.length <= 2);
+    seen.push(...batch.map(row => row.participant_id));
+  }, 2);
+  assert.deepStrictEqual(seen, ['p1', 'p2', 'p3']);
+});
+
+test('parquet export writes a complete file', async () => {
+  const db = await seededDatabase();
+  const file = path.join(os.tmpdir(), `export-${process.pid}.parquet`);
+  const result = await writeExport(db, parseExportOptions({ format: 'parquet', layout: 'long' }), fs.createWriteStream(file));
+  const content = fs.readFileSync(file);
+  fs.unlinkSync(file);
+
+  assert.deepStrictEqual(result, { annotations: 3, rows: 7 });
+  assert.strictEqual(content.subarray(0, 4).toString(), 'PAR1');
+  assert.strictEqual(content.subarray(-4).toString(), 'PAR1');
+});
@@ -0,0 +1,30 @@
+// Database fixtures shared by the tests
+const Database = require('../../database');
+
+// Fresh in-memory SQLite database with the full schema
+async function createDatabase() {
+  const db = new Database({ filename: ':memory:' });
+  await db.initialize();
+  return db;
+}
+
+// Insert a slice of the default study; `fields` override the placeholder columns
+async function insertSlice(db, id, fields = {}) {
+  const row = {
+    id,
+    study_id: 'default',
+    conversation_id: 'conv_1',
+    context: '[]',
+    focus_turns: '[]',
+    hybrid_predictions: '{}',
+    gold_labels: null,
+    ...fields
+  };
+  const columns = Object.keys(row);
+  await db.run(
+    `INSERT INTO slices (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+}
+
+module.exports = { createDatabase, insertSlice };
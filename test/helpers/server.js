@@ -0,0 +1,82 @@
+// Runs server.js in a child process against an in-memory database, for tests of the HTTP API
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const STARTUP_TIMEOUT_MS = 30000;
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+// Start the server and wait until startup has imported the default study's slices.
+// Returns { url, request, stop }; request(method, path, { body, headers, admin })
+// resolves to { status, body }, with JSON bodies parsed.
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SQLITE_PATH: ':memory:',
+      DATABASE_URL: '',
+      ADMIN_TOKEN,
+      PREVIEW_MODE: '',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+
+  async function request(method, route, { body, headers = {}, admin = false } = {}) {
+    const response = await fetch(url + route, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(admin ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('application/json') ? JSON.parse(text) : text };
+  }
+
+  async function stop() {
+    if (child.exitCode === null) child.kill();
+    await exited;
+  }
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited during startup:\n${stderr}`);
+    }
+    try {
+      const { status, body } = await request('GET', '/api/debug/slices', { admin: true });
+      if (status === 200 && body.slice_count > 0) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS}ms:\n${stderr}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return { url, request, stop };
+}
+
+module.exports = { startServer };
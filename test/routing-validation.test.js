@@ -0,0 +1,138 @@
+// Routing validation responses: schema, normalization against the slice's
+// predictions, model-validation summary and the routing export layout
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { saveAnnotation } = require('../annotations');
+const { validateAnnotationPayload } = require('../annotation-validation');
+const { normalizeRoutingValidation, summarizeRoutingValidation } = require('../routing-validation');
+const { validatePredictions } = require('../model-validation');
+const { parseExportOptions, writeExport } = require('../exporters');
+const { createDatabase, insertSlice } = require('./helpers/database');
+
+const HYBRID_PREDICTIONS = JSON.stringify({
+  interaction_types: [
+    { type: 'questioning', confidence: 0.9, source: 'pattern' },
+    { type: 'agreeing', confidence: 0.4, source: 'model' }
+  ],
+  curiosity_types: [],
+  routing_reason: 'ambiguous_patterns'
+});
+
+function response(verdicts, decision = 'human_review') {
+  return {
+    predictions: Object.entries(verdicts).map(([label, verdict]) => ({ category: 'interaction_types', label, verdict })),
+    routing: { decision },
+    time_seconds: 8
+  };
+}
+
+test('responses must use the defined structure', () => {
+  const body = routingValidation => ({
+    participant_id: 'p1',
+    slice_id: 'slice_1',
+    labels: { interaction_types: [] },
+    routing_validation: routingValidation,
+    annotation_time_seconds: 10
+  });
+  assert.deepStrictEqual(validateAnnotationPayload(body({})), []);
+  assert.deepStrictEqual(validateAnnotationPayload(body(response({ questioning: 'correct' }))), []);
+
+  const errors = validateAnnotationPayload(body({
+    predictions: [{ category: 'interaction_types', label: 'questioning', verdict: 'maybe' }],
+    routing: { decision: 'automatic', reason: 'mine' }
+  }));
+  assert.deepStrictEqual(errors.map(error => error.path).sort(), [
+    '/routing_validation/predictions/0/verdict',
+    '/routing_validation/routing/reason'
+  ]);
+});
+
+test('normalization adds the model side and refuses labels that were not predicted', () => {
+  assert.deepStrictEqual(normalizeRoutingValidation({}, HYBRID_PREDICTIONS), { routingValidation: {}, errors: [] });
+
+  const { routingValidation, errors } = normalizeRoutingValidation(
+    response({ questioning: 'correct', agreeing: 'incorrect' }, 'automatic'),
+    HYBRID_PREDICTIONS
+  );
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(routingValidation, {
+    predictions: [
+      { category: 'interaction_types', label: 'questioning', confidence: 0.9, source: 'pattern', verdict: 'correct' },
+      { category: 'interaction_types', label: 'agreeing', confidence: 0.4, source: 'model', verdict: 'incorrect' }
+    ],
+    routing: { routing_reason: 'ambiguous_patterns', decision: 'automatic' },
+    time_seconds: 8
+  });
+
+  const invalid = normalizeRoutingValidation({
+    predictions: [
+      { category: 'interaction_types', label: 'questioning', verdict: 'correct' },
+      { category: 'interaction_types', label: 'questioning', verdict: 'unsure' },
+      { category: 'curiosity_types', label: 'epistemic', verdict: 'correct' }
+    ]
+  }, HYBRID_PREDICTIONS);
+  assert.deepStrictEqual(invalid.errors, [
+    { path: '/routing_validation/predictions/1', message: 'duplicate response for "interaction_types:questioning"' },
+    { path: '/routing_validation/predictions/2', message: '"curiosity_types:epistemic" is not a prediction for this slice' }
+  ]);
+});
+
+test('model validation summarizes participants\' verdicts and routing decisions', () => {
+  const stored = value => normalizeRoutingValidation(value, HYBRID_PREDICTIONS).routingValidation;
+  const annotationRows = [
+    { participant_id: 'p1', slice_id: 'slice_1', interaction_types: '["questioning"]', curiosity_types: '[]',
+      routing_validation: JSON.stringify(stored(response({ questioning: 'correct', agreeing: 'incorrect' }))) },
+    { participant_id: 'p2', slice_id: 'slice_1', interaction_types: '["questioning"]', curiosity_types: '[]',
+      routing_validation: JSON.stringify(stored(response({ questioning: 'correct', agreeing: 'unsure' }, 'automatic'))) },
+    // Study without routing validation
+    { participant_id: 'p3', slice_id: 'slice_1', interaction_types: '["questioning"]', curiosity_types: '[]', routing_validation: '{}' }
+  ];
+
+  const summary = summarizeRoutingValidation(annotationRows);
+  assert.strictEqual(summary.responses, 2);
+  assert.deepStrictEqual(summary.overall, { correct: 2, incorrect: 1, unsure: 1, precision: 2 / 3 });
+  assert.deepStrictEqual(summary.per_label.interaction_types.agreeing, { correct: 0, incorrect: 1, unsure: 1, precision: 0 });
+  assert.deepStrictEqual(summary.by_routing_reason.ambiguous_patterns.decisions, { automatic: 1, human_review: 1, unsure: 0 });
+
+  const report = validatePredictions([{ id: 'slice_1', hybrid_predictions: HYBRID_PREDICTIONS }], annotationRows);
+  assert.deepStrictEqual(report.routing_validation, summary);
+});
+
+test('routing export layout has one row per judged prediction', async () => {
+  const db = await createDatabase();
+  await insertSlice(db, 'slice_1', { hybrid_predictions: HYBRID_PREDICTIONS });
+  const labels = { interaction_types: [{ type: 'questioning', categorical: 'high' }], curiosity_types: [] };
+  await db.transaction(async tx => {
+    for (const [participantId, routingValidation] of [
+      ['p1', normalizeRoutingValidation(response({ questioning: 'correct', agreeing: 'incorrect' }), HYBRID_PREDICTIONS).routingValidation],
+      ['p2', {}]
+    ]) {
+      await saveAnnotation(tx, {
+        participant_id: participantId,
+        slice_id: 'slice_1',
+        study_id: 'default',
+        session_id: null,
+        interaction_types: labels.interaction_types,
+        curiosity_types: labels.curiosity_types,
+        labels,
+        taxonomy_version_id: null,
+        routing_validation: routingValidation,
+        annotation_time_seconds: 20
+      });
+    }
+  });
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const result = await writeExport(db, parseExportOptions({ format: 'jsonl', layout: 'routing' }), output);
+  const rows = Buffer.concat(chunks).toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepStrictEqual(result, { annotations: 2, rows: 2 });
+  assert.deepStrictEqual(rows.map(row => [row.participant_id, row.label, row.model_confidence, row.verdict, row.routing_reason, row.routing_decision]), [
+    ['p1', 'questioning', 0.9, 'correct', 'ambiguous_patterns', 'human_review'],
+    ['p1', 'agreeing', 0.4, 'incorrect', 'ambiguous_patterns', 'human_review']
+  ]);
+  await db.close();
+});
@@ -0,0 +1,143 @@
+// HTTP API tests against a running server (see helpers/server.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(async () => {
+  await server.stop();
+});
+
+test('participant requests need the Prolific STUDY_ID and SESSION_ID', async () => {
+  let response = await server.request('POST', '/api/participant/p1/start?SESSION_ID=s-p1');
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Missing STUDY_ID');
+
+  response = await server.request('POST', '/api/participant/p1/start?STUDY_ID=default');
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Missing SESSION_ID');
+
+  // ?preview=1 does not stand in for the IDs unless the server runs in preview mode
+  response = await server.request('GET', '/api/participant/p1/slices?preview=1');
+  assert.strictEqual(response.status, 400);
+
+  response = await server.request('POST', '/api/participant/p1/start?STUDY_ID=nope&SESSION_ID=s-p1');
+  assert.strictEqual(response.status, 404);
+
+  response = await server.request('POST', '/api/participant/p1/start?STUDY_ID=default&SESSION_ID=s-p1');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.session_id, 's-p1');
+
+  // A session ID belongs to the participant who first used it
+  response = await server.request('POST', '/api/participant/p2/start?STUDY_ID=default&SESSION_ID=s-p1');
+  assert.strictEqual(response.status, 403);
+});
+
+// Answers that pass the default training set
+const TRAINING_ANSWERS = {
+  training_1: { interaction_types: ['questioning', 'agreeing'], curiosity_types: ['diversive'] },
+  training_2: { interaction_types: ['questioning'], curiosity_types: ['epistemic'] },
+  training_3: { interaction_types: ['agreeing', 'explaining'] }
+};
+
+function participantQuery(participantId) {
+  return `STUDY_ID=default&SESSION_ID=s-${participantId}`;
+}
+
+// Pass training and return the participant's assigned slices
+async function trainedParticipant(participantId) {
+  const query = participantQuery(participantId);
+  await server.request('POST', `/api/participant/${participantId}/training-attempts?${query}`, {
+    body: { answers: TRAINING_ANSWERS }
+  });
+  const response = await server.request('GET', `/api/participant/${participantId}/slices?${query}`);
+  return response.body.slices;
+}
+
+test('slices are handed out only after a passed training', async () => {
+  const query = participantQuery('trainee');
+  let response = await server.request('GET', `/api/participant/trainee/slices?${query}`);
+  assert.strictEqual(response.status, 409);
+
+  response = await server.request('POST', `/api/participant/trainee/training-attempts?${query}`, {
+    body: { answers: { training_1: { interaction_types: ['explaining'] } } }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.passed, false);
+  response = await server.request('GET', `/api/participant/trainee/slices?${query}`);
+  assert.strictEqual(response.status, 409);
+
+  response = await server.request('POST', `/api/participant/trainee/training-attempts?${query}`, {
+    body: { answers: TRAINING_ANSWERS }
+  });
+  assert.strictEqual(response.body.passed, true);
+  response = await server.request('GET', `/api/participant/trainee/slices?${query}`);
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.body.slices.length > 0);
+});
+
+test('exports refuse bad options with 400', async () => {
+  for (const query of [
+    'format=xlsx',
+    'layout=tall',
+    'from=yesterday',
+    'from=2024-03-02&to=2024-03-01',
+    'dataset_version=latest'
+  ]) {
+    const response = await server.request('GET', `/api/export?${query}`, { admin: true });
+    assert.strictEqual(response.status, 400, query);
+    assert.ok(response.body.error, query);
+  }
+
+  assert.strictEqual((await server.request('GET', '/api/export?format=xlsx')).status, 401);
+  const response = await server.request('GET', '/api/export?format=jsonl', { admin: true });
+  assert.strictEqual(response.status, 200);
+});
+
+test('annotations of unassigned slices or with implausible times are refused and logged', async () => {
+  const [slice] = await trainedParticipant('annotator');
+  await server.request('POST', `/api/participant/bystander/start?${participantQuery('bystander')}`);
+  const submit = (participantId, seconds) => server.request('POST', `/api/annotations?${participantQuery(participantId)}`, {
+    body: {
+      participant_id: participantId,
+      slice_id: slice.id,
+      annotation_time_seconds: seconds,
+      labels: { interaction_types: [{ type: 'agreeing', confidence: 0.875, categorical: 'high' }], curiosity_types: [] }
+    }
+  });
+
+  assert.strictEqual((await submit('bystander', 10)).status, 403);
+  // Below the minimum, and longer than the session has been running
+  assert.strictEqual((await submit('annotator', 1)).status, 422);
+  assert.strictEqual((await submit('annotator', 3600)).status, 422);
+
+  const response = await server.request('GET', '/api/admin/rejected-annotations?study=default', { admin: true });
+  assert.deepStrictEqual(response.body.rejected.map(row => Number(row.status)), [422, 422, 403]);
+
+  assert.strictEqual((await submit('annotator', 10)).status, 200);
+});
+
+test('routing validation answers are refused in studies that do not ask for them', async () => {
+  const [slice] = await trainedParticipant('router');
+  const body = {
+    participant_id: 'router',
+    slice_id: slice.id,
+    annotation_time_seconds: 10,
+    labels: { interaction_types: [], curiosity_types: [] },
+    routing_validation: { predictions: [], routing: { decision: 'human_review' }, time_seconds: 8 }
+  };
+
+  let response = await server.request('POST', `/api/annotations?${participantQuery('router')}`, { body });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Study default does not ask routing validation questions');
+
+  response = await server.request('POST', `/api/annotations?${participantQuery('router')}`, {
+    body: { ...body, routing_validation: {} }
+  });
+  assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,129 @@
+// Prolific sessions: creation, supersession, timeouts, returns and the submissions CSV
+const test = require('node:test');
+const assert = require('node:assert');
+const { toSqlTimestamp } = require('../assignment');
+const {
+  SessionError,
+  getSession,
+  touchSession,
+  releaseAssignments,
+  completeSession,
+  expireSessions,
+  returnSessions,
+  prolificSubmissionsCsv
+} = require('../sessions');
+const { createDatabase } = require('./helpers/database');
+
+// Two assigned slices, one of them annotated
+async function assignTwo(db, participantId) {
+  for (const sliceId of ['slice_1', 'slice_2']) {
+    await db.run('INSERT INTO assignments (participant_id, slice_id, study_id) VALUES (?, ?, ?)', [participantId, sliceId, 'default']);
+  }
+  await db.run('INSERT INTO annotations (participant_id, slice_id, study_id) VALUES (?, ?, ?)', [participantId, 'slice_1', 'default']);
+}
+
+async function released(db, participantId) {
+  const rows = await db.query(
+    'SELECT slice_id FROM assignments WHERE participant_id = ? AND released_at IS NOT NULL ORDER BY slice_id',
+    [participantId]
+  );
+  return rows.map(row => row.slice_id);
+}
+
+test('a new session supersedes the participant\'s active one', async () => {
+  const db = await createDatabase();
+  const first = await touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' });
+  assert.strictEqual(first.status, 'active');
+  assert.strictEqual(Number(first.preview), 0);
+
+  await touchSession(db, { sessionId: 's2', participantId: 'p1', studyId: 'default' });
+  assert.strictEqual((await getSession(db, 's1')).status, 'returned');
+  assert.strictEqual((await getSession(db, 's2')).status, 'active');
+
+  await assert.rejects(
+    touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' }),
+    error => error instanceof SessionError && error.status === 410
+  );
+  await assert.rejects(
+    touchSession(db, { sessionId: 's2', participantId: 'p2', studyId: 'default' }),
+    error => error instanceof SessionError && error.status === 403
+  );
+  await db.close();
+});
+
+test('concurrent first requests create the session once', async () => {
+  const db = await createDatabase();
+  const sessions = await Promise.all(Array.from({ length: 5 }, () =>
+    touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' })
+  ));
+
+  sessions.forEach(session => assert.strictEqual(session.status, 'active'));
+  const rows = await db.query('SELECT session_id FROM sessions');
+  assert.deepStrictEqual(rows.map(row => row.session_id), ['s1']);
+  await db.close();
+});
+
+test('releasing assignments keeps the annotated slices', async () => {
+  const db = await createDatabase();
+  await assignTwo(db, 'p1');
+  assert.strictEqual(await releaseAssignments(db, 'p1', 'default'), 1);
+  assert.deepStrictEqual(await released(db, 'p1'), ['slice_2']);
+  assert.strictEqual(await releaseAssignments(db, 'p1', 'default'), 0);
+  await db.close();
+});
+
+test('stale sessions time out, release their slices and get them back on return', async () => {
+  const db = await createDatabase();
+  await assignTwo(db, 'p1');
+  await touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' });
+  await touchSession(db, { sessionId: 's2', participantId: 'p2', studyId: 'default' });
+  const stale = toSqlTimestamp(new Date(Date.now() - 120 * 60 * 1000));
+  await db.run('UPDATE sessions SET last_seen_at = ? WHERE session_id = ?', [stale, 's1']);
+
+  assert.deepStrictEqual(await expireSessions(db, 90), { sessions: 1, released_assignments: 1 });
+  assert.strictEqual((await getSession(db, 's1')).status, 'timed_out');
+  assert.strictEqual((await getSession(db, 's2')).status, 'active');
+  assert.deepStrictEqual(await released(db, 'p1'), ['slice_2']);
+
+  const resumed = await touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' });
+  assert.strictEqual(resumed.status, 'active');
+  assert.strictEqual(resumed.ended_at, null);
+  assert.deepStrictEqual(await released(db, 'p1'), []);
+  await db.close();
+});
+
+test('sessions can be returned by session or participant ID', async () => {
+  const db = await createDatabase();
+  await assignTwo(db, 'p1');
+  await touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' });
+  await touchSession(db, { sessionId: 's2', participantId: 'p2', studyId: 'default' });
+  await touchSession(db, { sessionId: 's3', participantId: 'p3', studyId: 'default' });
+  await completeSession(db, 's3');
+
+  assert.deepStrictEqual(await returnSessions(db, 'default', ['p1', 's2', 's3']), { sessions: 2, released_assignments: 1 });
+  assert.strictEqual((await getSession(db, 's1')).status, 'returned');
+  assert.strictEqual((await getSession(db, 's2')).status, 'returned');
+  assert.strictEqual((await getSession(db, 's3')).status, 'completed');
+  assert.deepStrictEqual(await returnSessions(db, 'default', []), { sessions: 0, released_assignments: 0 });
+  await db.close();
+});
+
+test('the Prolific submissions CSV leaves out preview sessions', async () => {
+  const db = await createDatabase();
+  await touchSession(db, { sessionId: 's1', participantId: 'p1', studyId: 'default' });
+  await touchSession(db, { sessionId: 's2', participantId: 'p2', studyId: 'default' });
+  await touchSession(db, { sessionId: 'preview-1', participantId: 'preview-p', studyId: 'default', preview: true });
+  await db.run('UPDATE sessions SET started_at = ?', ['2024-03-01 10:00:00']);
+  await db.run('INSERT INTO participants (participant_id, study_id, completion_code) VALUES (?, ?, ?)', ['p1', 'default', 'CODE-1']);
+  await db.run('UPDATE sessions SET status = \'completed\', ended_at = ? WHERE session_id = ?', ['2024-03-01 10:15:30', 's1']);
+
+  const lines = (await prolificSubmissionsCsv(db, 'default')).trim().split('\n');
+  assert.deepStrictEqual(lines, [
+    'Submission id,Participant id,Status,Started at,Completed at,Time taken,Completion code',
+    's1,p1,AWAITING REVIEW,2024-03-01T10:00:00.000Z,2024-03-01T10:15:30.000Z,930,CODE-1',
+    's2,p2,ACTIVE,2024-03-01T10:00:00.000Z,,,'
+  ]);
+  const withPreview = await prolificSubmissionsCsv(db, 'default', { includePreview: true });
+  assert.ok(withPreview.includes('preview-1,preview-p,ACTIVE'));
+  await db.close();
+});
@@ -0,0 +1,41 @@
+// Analysis reports read the `labels` column against the study's taxonomy
+const test = require('node:test');
+const assert = require('node:assert');
+const { labelCategories } = require('../labels');
+const { computeAgreement } = require('../agreement');
+const { computeGoldAccuracy } = require('../gold-standard');
+
+function row(participantId, sliceId, stance) {
+  return {
+    participant_id: participantId,
+    slice_id: sliceId,
+    conversation_id: 'conv_1',
+    labels: JSON.stringify({ stance: stance ? [{ type: stance, confidence: 0.875, categorical: 'high' }] : [] }),
+    interaction_types: '[]',
+    curiosity_types: '[]'
+  };
+}
+
+test('stored categories come from the labels column, or the default columns for older rows', () => {
+  assert.deepStrictEqual(labelCategories([row('p1', 'slice_1', 'support')]), ['stance']);
+  assert.deepStrictEqual(labelCategories([{ participant_id: 'p1', slice_id: 'slice_1', interaction_types: '[]' }]),
+    ['interaction_types', 'curiosity_types']);
+});
+
+test('agreement reports on the taxonomy labels, used or not', () => {
+  const rows = [row('p1', 'slice_1', 'support'), row('p2', 'slice_1', 'support')];
+  const report = computeAgreement(rows, { labels: { stance: ['support', 'oppose'] } });
+
+  assert.deepStrictEqual(Object.keys(report.overall.labels), ['stance']);
+  assert.deepStrictEqual(Object.keys(report.overall.labels.stance), ['support', 'oppose']);
+  assert.strictEqual(report.slices.slice_1.labels.stance.support.selected, 2);
+});
+
+test('gold checks score the taxonomy categories', () => {
+  const slices = [{ id: 'slice_1', gold_labels: JSON.stringify({ stance: ['support'] }) }];
+  const [result] = computeGoldAccuracy(slices, [row('p1', 'slice_1', 'oppose')], { categories: ['stance'] });
+
+  assert.strictEqual(result.accuracy, 0);
+  assert.deepStrictEqual(result.checks[0].submitted, { stance: ['oppose'] });
+  assert.deepStrictEqual(result.checks[0].gold, { stance: ['support'] });
+});
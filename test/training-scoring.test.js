@@ -0,0 +1,104 @@
+// Scoring practice answers against the training set's expected labels
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTaxonomyFile, TaxonomyError } = require('../taxonomy');
+const {
+  DEFAULT_TRAINING_FILE,
+  loadTrainingSet,
+  checkTrainingSet,
+  publicTrainingSet,
+  scoreTrainingAttempt,
+  trainingFeedback
+} = require('../training');
+
+const taxonomy = loadTaxonomyFile(path.join(__dirname, '..', 'taxonomies', 'default.json'));
+const trainingSet = loadTrainingSet(DEFAULT_TRAINING_FILE);
+
+// Answers that match every item's expected labels
+function expectedAnswers() {
+  const answers = {};
+  trainingSet.items.forEach(item => {
+    answers[item.id] = item.expected;
+  });
+  return answers;
+}
+
+test('expected answers pass with a perfect score', () => {
+  const result = scoreTrainingAttempt(trainingSet, taxonomy, expectedAnswers());
+  assert.strictEqual(result.score, 1);
+  assert.strictEqual(result.passed, true);
+  result.items.forEach(item => {
+    assert.deepStrictEqual(item.missed, []);
+    assert.deepStrictEqual(item.extra, []);
+  });
+});
+
+test('missed and extra labels lower the score and are reported per item', () => {
+  const answers = expectedAnswers();
+  answers.training_1 = { interaction_types: ['questioning', 'explaining'], curiosity_types: [] };
+  const result = scoreTrainingAttempt(trainingSet, taxonomy, answers);
+
+  const item = result.items.find(feedback => feedback.item_id === 'training_1');
+  assert.deepStrictEqual(item.correct, [{ category: 'interaction_types', type: 'questioning' }]);
+  assert.deepStrictEqual(item.extra, [{ category: 'interaction_types', type: 'explaining' }]);
+  assert.strictEqual(item.missed.length, 2);
+  assert.strictEqual(item.score, 1 / 4);
+  assert.ok(item.explanation);
+  assert.ok(result.score < 1);
+});
+
+test('feedback leaves out the expected answers unless revealed', () => {
+  const answers = expectedAnswers();
+  answers.training_1 = { interaction_types: ['questioning'], curiosity_types: [] };
+  const result = scoreTrainingAttempt(trainingSet, taxonomy, answers);
+
+  const hidden = trainingFeedback(result);
+  assert.deepStrictEqual(hidden, trainingSet.items.map(item => ({ item_id: item.id, is_correct: item.id !== 'training_1' })));
+
+  const revealed = trainingFeedback(result, { reveal: true }).find(feedback => feedback.item_id === 'training_1');
+  assert.strictEqual(revealed.is_correct, false);
+  assert.deepStrictEqual(revealed.expected, trainingSet.items[0].expected);
+  assert.ok(revealed.explanation);
+  assert.strictEqual(revealed.labels, undefined);
+});
+
+test('empty answers fail', () => {
+  const result = scoreTrainingAttempt(trainingSet, taxonomy, {});
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.passed, false);
+});
+
+test('labels outside the taxonomy are rejected', () => {
+  assert.throws(
+    () => scoreTrainingAttempt(trainingSet, taxonomy, { training_1: { interaction_types: ['shouting'] } }),
+    TaxonomyError
+  );
+});
+
+test('the public training set leaves out expected answers and explanations', () => {
+  const publicSet = publicTrainingSet(trainingSet);
+  assert.strictEqual(publicSet.passing_score, trainingSet.passing_score);
+  assert.strictEqual(publicSet.max_attempts, 3);
+  publicSet.items.forEach(item => {
+    assert.strictEqual(item.expected, undefined);
+    assert.strictEqual(item.explanation, undefined);
+  });
+});
+
+test('training files are checked against the schema and the study\'s taxonomy', () => {
+  assert.doesNotThrow(() => checkTrainingSet(trainingSet, taxonomy));
+  assert.throws(() => loadTrainingSet(path.join(__dirname, 'missing-training.json')), TaxonomyError);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'training-')), 'broken.json');
+  fs.writeFileSync(file, JSON.stringify({ items: [] }));
+  assert.throws(() => loadTrainingSet(file), error => error instanceof TaxonomyError && error.errors[0].path === '/items');
+
+  const mismatched = { items: [{ id: 'one', focus_turns: [], expected: { interaction_types: ['shouting'] } }] };
+  assert.throws(() => checkTrainingSet(mismatched, taxonomy), error => {
+    assert.deepStrictEqual(error.errors.map(detail => detail.path), ['/items/0/expected/interaction_types/0']);
+    return true;
+  });
+});
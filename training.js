@@ -0,0 +1,198 @@
+// Training sets: practice items shown before real annotation. Each study names a
+// JSON file (default training/default.json). Participants need a mean score of at
+// least `passing_score` (or TRAINING_PASSING_SCORE) to continue, within
+// `max_attempts` tries (or TRAINING_MAX_ATTEMPTS). Until they pass or run out of
+// attempts they only learn which items were right; expected answers and
+// explanations stay on the server.
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { normalizeLabels, TaxonomyError } = require('./taxonomy');
+
+const DEFAULT_TRAINING_FILE = path.join(__dirname, 'training', 'default.json');
+
+const DEFAULT_PASSING_SCORE = parseFloat(process.env.TRAINING_PASSING_SCORE || '0.6');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.TRAINING_MAX_ATTEMPTS || '3', 10);
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const turnSchema = {
+  type: 'object',
+  required: ['speaker', 'text'],
+  properties: {
+    speaker: { type: 'string' },
+    text: { type: 'string' }
+  }
+};
+
+const trainingSchema = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    id: { type: 'string' },
+    passing_score: { type: 'number', minimum: 0, maximum: 1 },
+    max_attempts: { type: 'integer', minimum: 1 },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'focus_turns'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          context: { type: 'array', items: turnSchema },
+          focus_turns: { type: 'array', minItems: 1, items: turnSchema },
+          hints: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['text'],
+              properties: { label: { type: 'string' }, text: { type: 'string' } }
+            }
+          },
+          expected: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+          explanation: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const validateTraining = ajv.compile(trainingSchema);
+
+// Training files rarely change, so each is read once
+const cache = new Map();
+
+// Throws TaxonomyError for a missing, unreadable or invalid file
+function loadTrainingSet(filePath = DEFAULT_TRAINING_FILE) {
+  const resolved = path.resolve(filePath);
+  if (cache.has(resolved)) return cache.get(resolved);
+
+  if (!fs.existsSync(resolved)) {
+    throw new TaxonomyError(`Training file not found: ${filePath}`);
+  }
+  let trainingSet;
+  try {
+    trainingSet = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new TaxonomyError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  if (!validateTraining(trainingSet)) {
+    const errors = validateTraining.errors.map(error => ({ path: error.instancePath || '/', message: error.message }));
+    const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+    throw new TaxonomyError(`${path.basename(filePath)} is not a valid training set:\n${details}`, errors);
+  }
+
+  cache.set(resolved, trainingSet);
+  return trainingSet;
+}
+
+// Check that every item's expected labels exist in the taxonomy the training set
+// is used with; throws TaxonomyError listing the offending labels
+function checkTrainingSet(trainingSet, taxonomy) {
+  const errors = [];
+  trainingSet.items.forEach((item, index) => {
+    try {
+      normalizeLabels(taxonomy, item.expected || {});
+    } catch (error) {
+      if (!(error instanceof TaxonomyError)) throw error;
+      error.errors.forEach(detail => errors.push({
+        path: `/items/${index}/expected${detail.path.replace(/^\/labels/, '')}`,
+        message: detail.message
+      }));
+    }
+  });
+  if (errors.length > 0) {
+    throw new TaxonomyError('The training set does not match the study\'s taxonomy', errors);
+  }
+}
+
+function passingScore(trainingSet) {
+  return trainingSet.passing_score === undefined ? DEFAULT_PASSING_SCORE : trainingSet.passing_score;
+}
+
+function maxAttempts(trainingSet) {
+  return trainingSet.max_attempts === undefined ? DEFAULT_MAX_ATTEMPTS : trainingSet.max_attempts;
+}
+
+// Training set as sent to participants: without the expected answers and explanations
+function publicTrainingSet(trainingSet) {
+  return {
+    id: trainingSet.id || null,
+    passing_score: passingScore(trainingSet),
+    max_attempts: maxAttempts(trainingSet),
+    items: trainingSet.items.map(({ expected, explanation, ...item }) => ({
+      context: [],
+      hints: [],
+      ...item
+    }))
+  };
+}
+
+// Jaccard similarity between chosen and expected labels over all categories;
+// an item that expects nothing and gets nothing scores 1
+function scoreItem(item, labels) {
+  const chosen = new Set();
+  const expected = new Set();
+  Object.keys(labels).forEach(category => {
+    labels[category].forEach(entry => chosen.add(`${category}:${entry.type}`));
+  });
+  Object.keys(item.expected || {}).forEach(category => {
+    item.expected[category].forEach(type => expected.add(`${category}:${type}`));
+  });
+
+  const correct = [...chosen].filter(label => expected.has(label));
+  const union = chosen.size + expected.size - correct.length;
+  const split = label => {
+    const [category, type] = label.split(':');
+    return { category, type };
+  };
+  return {
+    score: union === 0 ? 1 : correct.length / union,
+    correct: correct.map(split),
+    missed: [...expected].filter(label => !chosen.has(label)).map(split),
+    extra: [...chosen].filter(label => !expected.has(label)).map(split)
+  };
+}
+
+// Score one attempt. `answers` maps item IDs to labels keyed by taxonomy category;
+// unanswered items count as empty answers. Throws TaxonomyError for invalid labels.
+// Returns { score, passed, passing_score, items: [{ item_id, score, correct, missed,
+// extra, expected, explanation, labels }] }.
+function scoreTrainingAttempt(trainingSet, taxonomy, answers) {
+  const items = trainingSet.items.map(item => {
+    const labels = normalizeLabels(taxonomy, answers[item.id] || {});
+    return {
+      item_id: item.id,
+      ...scoreItem(item, labels),
+      expected: item.expected || {},
+      explanation: item.explanation || null,
+      labels
+    };
+  });
+  const score = items.reduce((sum, item) => sum + item.score, 0) / items.length;
+  const threshold = passingScore(trainingSet);
+  return { score, passed: score >= threshold, passing_score: threshold, items };
+}
+
+// Per-item feedback for the participant. Without `reveal` it only says whether
+// each item was answered exactly right, so failed attempts cannot be used to copy
+// the expected answers; with it, the full scoring and explanations are included.
+function trainingFeedback(result, { reveal = false } = {}) {
+  return result.items.map(({ labels, ...item }) => {
+    const feedback = { item_id: item.item_id, is_correct: item.score === 1 };
+    return reveal ? { ...feedback, ...item } : feedback;
+  });
+}
+
+module.exports = {
+  DEFAULT_TRAINING_FILE,
+  loadTrainingSet,
+  checkTrainingSet,
+  passingScore,
+  maxAttempts,
+  publicTrainingSet,
+  scoreTrainingAttempt,
+  trainingFeedback
+};